@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// Obstacle query scaling: node benchmark.js [max obstacles, default 100000]
+// Random circular obstacles are scattered at constant density, so a fixed-length leg meets about the same number of
+// obstacles at every size. Each row times building the spatial index, a segment check (RouteOptimizer.isSafeRoute)
+// and a point check (DroneRouteOptimizer.isObstructed) through the index and by a linear scan, and plans a short
+// four-waypoint mission end to end, by distance and by flight time through a steady wind.
+const { Waypoint, Obstacle, LineSegment, RouteOptimizer, WindField } = require("./turn3/model2.js");
+const { DroneRouteOptimizer } = require("./turn1/model2.js");
+
+const SIZES = [10, 100, 1000, 10000, 100000];
+const SPACING = 20;
+const CLEARANCE = 0.5;
+const LEG_LENGTH = 40;
+const INDEXED_QUERIES = 2000;
+// Linear scans get fewer queries at large sizes to keep the run short: about this many obstacle tests per size
+const LINEAR_TESTS = 2000000;
+const SEED = 20240601;
+const CRUISE_SPEED = 10;
+const WIND = [3, -2];
+
+// mulberry32, so every run uses the same obstacle fields
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Microseconds per call of fn over the given inputs, and how many calls returned true
+function time(inputs, fn) {
+    const started = process.hrtime.bigint();
+    let hits = 0;
+    for (const input of inputs) {
+        if (fn(input)) {
+            hits++;
+        }
+    }
+    return { perCall: Number(process.hrtime.bigint() - started) / 1000 / inputs.length, hits };
+}
+
+function randomLegs(random, side, count) {
+    return Array.from({ length: count }, () => {
+        const start = new Waypoint(random() * side, random() * side);
+        const angle = random() * 2 * Math.PI;
+        return new LineSegment(start, new Waypoint(start.x + LEG_LENGTH * Math.cos(angle), start.y + LEG_LENGTH * Math.sin(angle)));
+    });
+}
+
+function runSize(count, random) {
+    const side = Math.sqrt(count) * SPACING;
+    const centre = side / 2;
+    const waypoints = [[0, 0], [LEG_LENGTH, 0], [LEG_LENGTH, LEG_LENGTH], [0, LEG_LENGTH]].map(([x, y]) => new Waypoint(centre + x, centre + y));
+
+    // Obstacles covering a mission waypoint would make the mission infeasible; they are redrawn
+    const obstacles = [];
+    while (obstacles.length < count) {
+        const obstacle = new Obstacle(random() * side, random() * side, 1 + random() * 2);
+        if (waypoints.every(waypoint => !obstacle.containsPoint(waypoint, CLEARANCE + 1))) {
+            obstacles.push(obstacle);
+        }
+    }
+
+    const optimizer = new RouteOptimizer(waypoints, obstacles, Infinity, { clearance: CLEARANCE });
+    const buildStarted = process.hrtime.bigint();
+    optimizer.getSpatialIndex();
+    const build = Number(process.hrtime.bigint() - buildStarted) / 1e6;
+
+    const legs = randomLegs(random, side, INDEXED_QUERIES);
+    const linearLegs = legs.slice(0, Math.max(10, Math.min(INDEXED_QUERIES, Math.floor(LINEAR_TESTS / count))));
+    const segmentIndexed = time(legs, leg => optimizer.isSafeRoute(leg));
+    const segmentLinear = time(linearLegs, leg => obstacles.every(obstacle => !obstacle.intersectsWithLineSegment(leg, CLEARANCE)));
+    if (time(linearLegs, leg => optimizer.isSafeRoute(leg)).hits !== segmentLinear.hits) {
+        throw new Error(`Indexed and linear segment checks disagree at ${count} obstacles`);
+    }
+
+    const radius = 3;
+    const grid = new DroneRouteOptimizer(waypoints[0], waypoints[2], obstacles.map(({ x, y }) => ({ x, y })), { obstacleRadius: radius });
+    grid.getSpatialIndex();
+    const points = legs.map(leg => leg.start);
+    const linearPoints = linearLegs.map(leg => leg.start);
+    const pointIndexed = time(points, point => grid.isObstructed(point));
+    const pointLinear = time(linearPoints, point => grid.obstacles.some(obstacle => grid.calculateDistance(point, obstacle) < radius));
+    if (time(linearPoints, point => grid.isObstructed(point)).hits !== pointLinear.hits) {
+        throw new Error(`Indexed and linear point checks disagree at ${count} obstacles`);
+    }
+
+    const planStarted = process.hrtime.bigint();
+    const route = optimizer.optimizeRoute();
+    const plan = Number(process.hrtime.bigint() - planStarted) / 1e6;
+
+    const timeOptimizer = new RouteOptimizer(waypoints, obstacles, Infinity, { clearance: CLEARANCE, cruiseSpeed: CRUISE_SPEED, windField: WindField.constant(...WIND), legCost: "time" });
+    timeOptimizer.getSpatialIndex();
+    const timePlanStarted = process.hrtime.bigint();
+    timeOptimizer.optimizeRoute();
+    const timePlan = Number(process.hrtime.bigint() - timePlanStarted) / 1e6;
+
+    return { count, build, segmentIndexed, segmentLinear, pointIndexed, pointLinear, plan, timePlan, routePoints: route.length };
+}
+
+const maxCount = Number(process.argv[2]) || SIZES[SIZES.length - 1];
+const random = createRandom(SEED);
+const columns = ["obstacles", "index build ms", "segment µs (index)", "segment µs (linear)", "point µs (index)", "point µs (linear)", "plan ms", "plan ms (time)", "route points"];
+console.log(columns.join(" | "));
+console.log(columns.map(column => "-".repeat(column.length)).join(" | "));
+
+for (const count of SIZES.filter(size => size <= maxCount)) {
+    const result = runSize(count, random);
+    const cells = [
+        result.count,
+        result.build.toFixed(1),
+        result.segmentIndexed.perCall.toFixed(2),
+        result.segmentLinear.perCall.toFixed(2),
+        result.pointIndexed.perCall.toFixed(2),
+        result.pointLinear.perCall.toFixed(2),
+        result.plan.toFixed(1),
+        result.timePlan.toFixed(1),
+        result.routePoints,
+    ];
+    console.log(cells.map((cell, i) => String(cell).padStart(columns[i].length)).join(" | "));
+}
@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const { ORDERING_STRATEGIES, Waypoint, GeoWaypoint, Mission } = require("./turn3/model2.js");
+const { DroneRouteOptimizer } = require("./turn1/model2.js");
+
+const EXIT_OK = 0;
+const EXIT_INFEASIBLE = 1;
+const EXIT_USAGE = 2;
+const EXIT_INVALID_INPUT = 3;
+const EXIT_INTERNAL = 4;
+const PLANNERS = ["visibility", "grid"];
+const RENDER_FORMATS = ["ascii", "svg"];
+const EXPORT_FORMATS = ["geojson", "kml", "gpx", "plan", "waypoints"];
+const GEODETIC_EXPORT_FORMATS = ["gpx", "plan", "waypoints"];
+const GRID_CELLS_ACROSS = 100;
+const ROUTE_MATCH_TOLERANCE = 1e-6;
+// Planner errors that mean the mission cannot be flown; anything else the planner throws is a bug
+const INFEASIBLE_ERRORS = [/^No safe route/, /^Infeasible (tour|fleet plan)/, /is outside the flight envelope/, /^No conflict-free timing/, /^No flyable curve/];
+
+const USAGE = `Usage: dronepath <command> [mission|-] [options]
+
+Commands:
+  plan        Plan the mission and print it with its route as a mission file
+  validate    Check the mission file; audit its route, or check that a route can be planned
+  render      Draw the mission route (--format ascii|svg)
+  export      Export the mission route (--format ${EXPORT_FORMATS.join("|")})
+
+The mission is a mission JSON file, a QGroundControl .plan or a QGC WPL 110 file.
+It is read from stdin when the path is "-" or omitted; output goes to stdout unless --output is given.
+render and export use the route stored in the mission and plan one when there is none.
+
+Options:
+  --planner <name>      ${PLANNERS.join(" or ")} (default visibility)
+  --strategy <name>     waypoint ordering: ${ORDERING_STRATEGIES.join(", ")}
+  --resolution <n>      grid cell size for --planner grid (default: ${GRID_CELLS_ACROSS} cells across the mission)
+  --format <name>       output format for render and export
+  --width <n>           render width in characters (ascii) or pixels (svg)
+  --colour              ANSI colour for ascii rendering
+  --origin <lat,lon>    georeference a local mission for export
+  -o, --output <file>   write to a file instead of stdout
+  -h, --help            show this help
+
+Exit codes:
+  ${EXIT_OK}  success
+  ${EXIT_INFEASIBLE}  the mission is infeasible or its route fails the safety audit
+  ${EXIT_USAGE}  invalid command line
+  ${EXIT_INVALID_INPUT}  the mission could not be read or is invalid
+  ${EXIT_INTERNAL}  unexpected internal error`;
+
+function createExitError(message, exitCode) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    return error;
+}
+
+function tagInfeasible(error) {
+    return INFEASIBLE_ERRORS.some(pattern => pattern.test(error.message)) ? createExitError(error.message, EXIT_INFEASIBLE) : error;
+}
+
+// Exporters reject routes they cannot encode; those are mistakes in the mission or command line, not planner bugs
+function tagExportError(error) {
+    if (/needs a route with at least two points/.test(error.message)) {
+        return createExitError(error.message, EXIT_INFEASIBLE);
+    }
+    return /needs geodetic coordinates|^Unknown (export|autopilot) format|^Unknown firmware/.test(error.message) ? createExitError(error.message, EXIT_USAGE) : error;
+}
+
+function parseArguments(argv) {
+    const options = { planner: "visibility", colour: false };
+    const positional = [];
+    const valueFlags = { "--planner": "planner", "--strategy": "strategy", "--resolution": "resolution", "--format": "format", "--width": "width", "--origin": "origin", "--output": "output", "-o": "output" };
+
+    for (let i = 0; i < argv.length; i++) {
+        const argument = argv[i];
+        if (argument === "-h" || argument === "--help") {
+            options.help = true;
+        } else if (argument === "--colour" || argument === "--color") {
+            options.colour = true;
+        } else if (valueFlags[argument]) {
+            if (i + 1 >= argv.length) {
+                throw createExitError(`${argument} needs a value`, EXIT_USAGE);
+            }
+            options[valueFlags[argument]] = argv[++i];
+        } else if (argument.startsWith("--") && argument.includes("=") && valueFlags[argument.slice(0, argument.indexOf("="))]) {
+            options[valueFlags[argument.slice(0, argument.indexOf("="))]] = argument.slice(argument.indexOf("=") + 1);
+        } else if (argument.startsWith("-") && argument !== "-") {
+            throw createExitError(`Unknown option ${argument}`, EXIT_USAGE);
+        } else {
+            positional.push(argument);
+        }
+    }
+
+    if (positional.length > 2) {
+        throw createExitError(`Unexpected argument ${positional[2]}`, EXIT_USAGE);
+    }
+    [options.command, options.mission] = positional;
+
+    if (!PLANNERS.includes(options.planner)) {
+        throw createExitError(`Unknown planner "${options.planner}", expected one of: ${PLANNERS.join(", ")}`, EXIT_USAGE);
+    }
+    if (options.strategy !== undefined && !ORDERING_STRATEGIES.includes(options.strategy)) {
+        throw createExitError(`Unknown strategy "${options.strategy}", expected one of: ${ORDERING_STRATEGIES.join(", ")}`, EXIT_USAGE);
+    }
+    for (const key of ["resolution", "width"]) {
+        if (options[key] !== undefined) {
+            options[key] = Number(options[key]);
+            if (!(options[key] > 0 && isFinite(options[key]))) {
+                throw createExitError(`--${key} must be a positive number`, EXIT_USAGE);
+            }
+        }
+    }
+    if (options.origin !== undefined) {
+        const [latitude, longitude, altitude] = options.origin.split(",").map(Number);
+        if (!(Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180)) {
+            throw createExitError(`--origin must be "latitude,longitude[,altitude]" in degrees, got "${options.origin}"`, EXIT_USAGE);
+        }
+        options.origin = new GeoWaypoint(latitude, longitude, isFinite(altitude) ? altitude : undefined);
+    }
+
+    return options;
+}
+
+// A synchronous read of a pipe fails with EAGAIN when the writer has not produced anything yet, so stdin is streamed
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString("utf8");
+}
+
+async function readMission(path) {
+    const source = path === undefined || path === "-" ? "stdin" : path;
+    if (source === "stdin" && process.stdin.isTTY) {
+        throw createExitError("No mission given: pass a mission file or pipe one on stdin", EXIT_USAGE);
+    }
+
+    let text;
+    try {
+        text = source === "stdin" ? await readStdin() : fs.readFileSync(path, "utf8");
+    } catch (error) {
+        throw createExitError(`Cannot read ${source}: ${error.message}`, EXIT_INVALID_INPUT);
+    }
+    return parseMission(text, source);
+}
+
+// Mission JSON, QGroundControl .plan or QGC WPL 110 text; Mission.parse's per-field error.errors are kept
+function parseMission(text, source) {
+    try {
+        if (/^QGC WPL/.test(text)) {
+            return Mission.fromWaypointFile(text, source);
+        }
+        if (/"fileType"\s*:\s*"Plan"/.test(text)) {
+            return Mission.fromQGCPlan(text, source);
+        }
+        return Mission.parse(text, source);
+    } catch (error) {
+        error.exitCode = EXIT_INVALID_INPUT;
+        throw error;
+    }
+}
+
+function createOptimizer(mission, options) {
+    try {
+        return mission.createOptimizer(options.strategy ? { strategy: options.strategy } : {});
+    } catch (error) {
+        throw createExitError(error.message, EXIT_INVALID_INPUT);
+    }
+}
+
+// turn1's occupancy-grid A* flies each leg of the visiting order. It models every obstacle as a circle of one
+// shared radius, so polygons are rejected and all circles are inflated to the largest radius plus clearance.
+function planOnGrid(optimizer, options) {
+    if (optimizer.obstacles.some(obstacle => obstacle.vertices)) {
+        throw createExitError("The grid planner only handles circular obstacles; use --planner visibility", EXIT_USAGE);
+    }
+
+    const reach = Math.max(0, ...optimizer.obstacles.map(obstacle => obstacle.radius + optimizer.getClearance(obstacle)));
+    const bounds = optimizer.getRenderBounds(optimizer.waypoints);
+    const resolution = options.resolution || Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) / GRID_CELLS_ACROSS || 1;
+    let order;
+    try {
+        order = optimizer.orderWaypoints();
+    } catch (error) {
+        throw tagInfeasible(error);
+    }
+    if (optimizer.returnToHome && order.length > 1) {
+        order.push(order[0]);
+    }
+
+    const route = [order[0]];
+    for (let i = 1; i < order.length; i++) {
+        const from = order[i - 1];
+        const to = order[i];
+        const result = new DroneRouteOptimizer(from, to, optimizer.obstacles, { resolution, obstacleRadius: reach }).findPath();
+        if (result.status !== "found") {
+            throw createExitError(`No route on the grid from ${optimizer.formatWaypoint(from)} to ${optimizer.formatWaypoint(to)}: ${result.reason}`, EXIT_INFEASIBLE);
+        }
+        route.push(...result.path.slice(1, -1).map(point => new Waypoint(point.x, point.y, from.z)), to);
+    }
+    return route;
+}
+
+function planRoute(optimizer, options) {
+    if (options.planner === "grid") {
+        return planOnGrid(optimizer, options);
+    }
+    try {
+        return optimizer.optimizeRoute();
+    } catch (error) {
+        throw tagInfeasible(error);
+    }
+}
+
+// The stored route in the planning frame, reusing the optimizer's own waypoint objects so they are numbered and timed
+function getStoredRoute(mission, optimizer) {
+    const toLocal = point => (point instanceof GeoWaypoint ? optimizer.projection.toLocal(point) : point);
+    return mission.route.map(point => {
+        const local = toLocal(point);
+        const waypoint = optimizer.waypoints.find(candidate => Math.abs(candidate.x - local.x) < ROUTE_MATCH_TOLERANCE && Math.abs(candidate.y - local.y) < ROUTE_MATCH_TOLERANCE && (candidate.z || 0) === (local.z || 0));
+        return waypoint || local;
+    });
+}
+
+function getRoute(mission, optimizer, options) {
+    return mission.route ? getStoredRoute(mission, optimizer) : planRoute(optimizer, options);
+}
+
+function checkRoute(optimizer, route) {
+    const audit = optimizer.validateRoute(route);
+    if (!audit.valid) {
+        const lines = audit.violations.map(({ legIndex, obstacle, penetrationDepth }) => `  leg ${legIndex + 1} enters obstacle at (${obstacle.x}, ${obstacle.y}) by ${penetrationDepth.toFixed(2)}`);
+        throw createExitError(`Route fails the safety audit:\n${lines.join("\n")}`, EXIT_INFEASIBLE);
+    }
+}
+
+function requireFormat(options, formats) {
+    if (!formats.includes(options.format)) {
+        throw createExitError(`${options.command} needs --format ${formats.join("|")}${options.format ? `, got "${options.format}"` : ""}`, EXIT_USAGE);
+    }
+}
+
+const COMMANDS = {
+    plan(mission, options) {
+        const optimizer = createOptimizer(mission, options);
+        const route = planRoute(optimizer, options);
+        checkRoute(optimizer, route);
+        console.error(`Planned ${route.length} route points over ${optimizer.getPathLength(route).toFixed(2)}${optimizer.projection ? " m" : ""} with the ${options.planner} planner`);
+        return mission.withRoute(route).serialize();
+    },
+
+    validate(mission, options) {
+        const optimizer = createOptimizer(mission, options);
+        const route = getRoute(mission, optimizer, options);
+        checkRoute(optimizer, route);
+        const checked = mission.route ? "stored route passes the safety audit" : "a safe route can be planned";
+        return `${mission.name || "mission"}: valid, ${mission.waypoints.length} waypoints, ${mission.obstacles.length} obstacles, ${checked}\n`;
+    },
+
+    render(mission, options) {
+        requireFormat(options, RENDER_FORMATS);
+        const optimizer = createOptimizer(mission, options);
+        const route = getRoute(mission, optimizer, options);
+        if (options.format === "svg") {
+            return optimizer.renderSvg(route, { width: options.width, title: mission.name });
+        }
+        return `${optimizer.renderTerminal(route, { width: options.width, colour: options.colour })}\n`;
+    },
+
+    export(mission, options) {
+        requireFormat(options, EXPORT_FORMATS);
+        if (GEODETIC_EXPORT_FORMATS.includes(options.format) && mission.frame !== "geodetic" && !options.origin) {
+            throw createExitError(`--format ${options.format} needs geodetic coordinates: use a geodetic mission or pass --origin lat,lon`, EXIT_USAGE);
+        }
+
+        const optimizer = createOptimizer(mission, options);
+        const route = getRoute(mission, optimizer, options);
+        const exportOptions = { name: mission.name, ...(options.origin && { origin: options.origin }) };
+        const exporters = {
+            geojson: () => `${JSON.stringify(optimizer.exportGeoJSON(route, exportOptions), null, 2)}\n`,
+            kml: () => optimizer.exportKML(route, exportOptions),
+            gpx: () => optimizer.exportGPX(route, exportOptions),
+            plan: () => `${JSON.stringify(optimizer.exportQGCPlan(route, exportOptions), null, 4)}\n`,
+            waypoints: () => optimizer.exportWaypointFile(route, exportOptions),
+        };
+        try {
+            return exporters[options.format]();
+        } catch (error) {
+            throw tagExportError(error);
+        }
+    },
+};
+
+async function main(argv) {
+    try {
+        const options = parseArguments(argv);
+        if (options.help || !options.command) {
+            (options.help ? console.log : console.error)(USAGE);
+            return options.help ? EXIT_OK : EXIT_USAGE;
+        }
+        if (!COMMANDS[options.command]) {
+            throw createExitError(`Unknown command "${options.command}", expected one of: ${Object.keys(COMMANDS).join(", ")}`, EXIT_USAGE);
+        }
+
+        const output = COMMANDS[options.command](await readMission(options.mission), options);
+        if (options.output) {
+            fs.writeFileSync(options.output, output);
+        } else {
+            process.stdout.write(output);
+        }
+        return EXIT_OK;
+    } catch (error) {
+        if (error.exitCode === undefined) {
+            throw error;
+        }
+        console.error(`dronepath: ${error.message}`);
+        return error.exitCode;
+    }
+}
+
+module.exports = {
+    EXIT_OK,
+    EXIT_INFEASIBLE,
+    EXIT_USAGE,
+    EXIT_INVALID_INPUT,
+    EXIT_INTERNAL,
+    PLANNERS,
+    parseMission,
+    createOptimizer,
+    planRoute,
+    getRoute,
+    main,
+};
+
+if (require.main === module) {
+    // A reader that stops early, like head, closes the pipe; that is not an error worth a stack trace
+    process.stdout.on("error", error => {
+        if (error.code !== "EPIPE") {
+            throw error;
+        }
+    });
+    main(process.argv.slice(2)).then(
+        exitCode => {
+            process.exitCode = exitCode;
+        },
+        error => {
+            console.error(`dronepath: ${error.message}`);
+            process.exitCode = EXIT_INTERNAL;
+        }
+    );
+}
@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+// Local planning service for the ground-control app: node server.js [--port 8787] [--host 127.0.0.1] [--time-limit ms] [--max-body-bytes n]
+// POST /plan and POST /validate take a mission (JSON, .plan or WPL 110) as the body, GET /render.svg draws one,
+// GET /health reports liveness. Errors come back as { error: { code, message, details? } }.
+const http = require("http");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+const { ORDERING_STRATEGIES } = require("./turn3/model2.js");
+const { EXIT_INFEASIBLE, EXIT_USAGE, EXIT_INVALID_INPUT, PLANNERS, parseMission, createOptimizer, planRoute, getRoute } = require("./dronepath.js");
+
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 8787;
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_TIME_LIMIT_MS = 10000;
+const DEFAULT_MAX_CONCURRENT_JOBS = 2;
+const PLAN_CACHE_SIZE = 50;
+const WORKER_MEMORY_LIMIT_MB = 256;
+
+// Planning work, run inside a worker thread so a slow mission can be stopped without blocking the server
+function runJob({ task, text, options }) {
+    const mission = parseMission(text, "request body");
+    const optimizer = createOptimizer(mission, options);
+    const route = task === "plan" ? planRoute(optimizer, options) : getRoute(mission, optimizer, options);
+
+    if (task === "render") {
+        return { svg: optimizer.renderSvg(route, { width: options.width, title: mission.name }) };
+    }
+
+    const audit = optimizer.validateRoute(route);
+    const violations = audit.violations.map(({ legIndex, obstacleIndex, penetrationDepth, closestPoint }) => ({ legIndex, obstacleIndex, penetrationDepth, closestPoint: { x: closestPoint.x, y: closestPoint.y } }));
+    if (task === "validate") {
+        return { valid: audit.valid, checked: mission.route ? "route" : "plan", violations };
+    }
+
+    const planned = mission.withRoute(route).toJSON();
+    const clearances = audit.clearances.map(({ minClearance }) => minClearance);
+    return {
+        route: planned.route,
+        stats: {
+            distance: optimizer.getPathLength(route),
+            units: optimizer.projection ? "m" : "units",
+            routePoints: route.length,
+            waypoints: mission.waypoints.length,
+            duration: optimizer.cruiseSpeed ? optimizer.generateTrajectory(route).duration : null,
+            minClearance: clearances.length > 0 ? Math.min(...clearances) : null,
+            valid: audit.valid,
+        },
+        violations,
+        mission: planned,
+    };
+}
+
+if (!isMainThread) {
+    try {
+        parentPort.postMessage({ result: runJob(workerData) });
+    } catch (error) {
+        parentPort.postMessage({ error: { message: error.message, exitCode: error.exitCode, errors: error.errors } });
+    }
+}
+
+function createHttpError(status, code, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+}
+
+// Worker errors carry the CLI's exit code: unreadable or invalid missions are the client's fault, infeasible ones are
+// valid missions the planner cannot fly, and anything untagged is a bug in the planner
+function classifyJobError(error) {
+    if (error.errors || error.exitCode === EXIT_INVALID_INPUT) {
+        return createHttpError(400, "invalid_mission", error.message, error.errors);
+    }
+    if (error.exitCode === EXIT_USAGE) {
+        return createHttpError(400, "bad_request", error.message);
+    }
+    if (error.exitCode === EXIT_INFEASIBLE) {
+        return createHttpError(422, "infeasible", error.message);
+    }
+    return createHttpError(500, "internal_error", error.message);
+}
+
+function sendJson(response, status, body, headers = {}) {
+    response.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+    response.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+function sendError(response, error) {
+    const body = { error: { code: error.code, message: error.message } };
+    if (error.details) {
+        body.error.details = error.details;
+    }
+    const headers = error.status === 405 ? { Allow: error.allow } : {};
+    if (error.closeConnection) {
+        headers.Connection = "close";
+    }
+    sendJson(response, error.status, body, headers);
+}
+
+// An oversized body is refused without reading the rest of it, so the 413 closes the connection rather than leave the
+// client streaming into a paused socket
+function readBody(request, maxBytes) {
+    const tooLarge = () => {
+        const error = createHttpError(413, "payload_too_large", `Request body exceeds ${maxBytes} bytes`);
+        error.closeConnection = true;
+        return error;
+    };
+
+    return new Promise((resolve, reject) => {
+        if (Number(request.headers["content-length"]) > maxBytes) {
+            reject(tooLarge());
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        request.on("data", chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                request.pause();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+        request.on("error", reject);
+    });
+}
+
+// Planner options from the query string: ?planner=visibility|grid&strategy=...&resolution=...&width=...
+function getPlannerOptions(query) {
+    const options = { planner: query.get("planner") || "visibility" };
+    if (!PLANNERS.includes(options.planner)) {
+        throw createHttpError(400, "bad_request", `Unknown planner "${options.planner}", expected one of: ${PLANNERS.join(", ")}`);
+    }
+    if (query.has("strategy")) {
+        options.strategy = query.get("strategy");
+        if (!ORDERING_STRATEGIES.includes(options.strategy)) {
+            throw createHttpError(400, "bad_request", `Unknown strategy "${options.strategy}", expected one of: ${ORDERING_STRATEGIES.join(", ")}`);
+        }
+    }
+    for (const key of ["resolution", "width"]) {
+        if (query.has(key)) {
+            options[key] = Number(query.get(key));
+            if (!(options[key] > 0 && isFinite(options[key]))) {
+                throw createHttpError(400, "bad_request", `${key} must be a positive number`);
+            }
+        }
+    }
+    return options;
+}
+
+class PlanningServer {
+    constructor(options = {}) {
+        this.maxBodyBytes = options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES;
+        this.timeLimit = options.timeLimit || DEFAULT_TIME_LIMIT_MS;
+        this.maxConcurrentJobs = options.maxConcurrentJobs || DEFAULT_MAX_CONCURRENT_JOBS;
+        this.activeJobs = 0;
+        this.plans = new Map();
+        this.nextPlanId = 1;
+        this.startedAt = Date.now();
+        this.server = http.createServer((request, response) => {
+            this.handle(request, response).catch(error => {
+                sendError(response, error.status ? error : createHttpError(500, "internal_error", error.message));
+            });
+        });
+    }
+
+    listen(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, host, () => resolve(this.server.address()));
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    async handle(request, response) {
+        const url = new URL(request.url, "http://localhost");
+        const routes = {
+            "/health": { GET: () => this.health() },
+            "/plan": { POST: () => this.plan(request, url.searchParams) },
+            "/validate": { POST: () => this.validate(request, url.searchParams) },
+            "/render.svg": { GET: () => this.render(url.searchParams) },
+        };
+
+        const route = routes[url.pathname];
+        if (!route) {
+            throw createHttpError(404, "not_found", `No endpoint ${url.pathname}; available: ${Object.keys(routes).join(", ")}`);
+        }
+        if (!route[request.method]) {
+            const error = createHttpError(405, "method_not_allowed", `${url.pathname} accepts ${Object.keys(route).join(", ")}`);
+            error.allow = Object.keys(route).join(", ");
+            throw error;
+        }
+
+        const { status = 200, body, svg } = await route[request.method]();
+        if (svg) {
+            response.writeHead(status, { "Content-Type": "image/svg+xml; charset=utf-8" });
+            response.end(svg);
+        } else {
+            sendJson(response, status, body);
+        }
+    }
+
+    health() {
+        return { body: { status: "ok", uptime: (Date.now() - this.startedAt) / 1000, activeJobs: this.activeJobs, cachedPlans: this.plans.size } };
+    }
+
+    async plan(request, query) {
+        const options = getPlannerOptions(query);
+        const text = await readBody(request, this.maxBodyBytes);
+        const result = await this.runJob("plan", text, options);
+
+        // Planned missions are kept so GET /render.svg?id= can draw them; the oldest is dropped first
+        const id = String(this.nextPlanId++);
+        this.plans.set(id, JSON.stringify(result.mission));
+        if (this.plans.size > PLAN_CACHE_SIZE) {
+            this.plans.delete(this.plans.keys().next().value);
+        }
+        return { body: { id, ...result } };
+    }
+
+    async validate(request, query) {
+        const options = getPlannerOptions(query);
+        const text = await readBody(request, this.maxBodyBytes);
+        return { body: await this.runJob("validate", text, options) };
+    }
+
+    // Draws a plan from POST /plan (?id=) or a mission passed inline (?mission=<url-encoded JSON>)
+    async render(query) {
+        const options = getPlannerOptions(query);
+        let text = query.get("mission");
+        if (query.has("id")) {
+            text = this.plans.get(query.get("id"));
+            if (text === undefined) {
+                throw createHttpError(404, "not_found", `No plan with id "${query.get("id")}"; plans are kept in memory for the last ${PLAN_CACHE_SIZE} requests`);
+            }
+        }
+        if (text === null) {
+            throw createHttpError(400, "bad_request", "Pass ?id=<plan id> or ?mission=<url-encoded mission JSON>");
+        }
+        if (Buffer.byteLength(text) > this.maxBodyBytes) {
+            throw createHttpError(413, "payload_too_large", `Mission exceeds ${this.maxBodyBytes} bytes`);
+        }
+
+        const { svg } = await this.runJob("render", text, options);
+        return { svg };
+    }
+
+    runJob(task, text, options) {
+        if (this.activeJobs >= this.maxConcurrentJobs) {
+            return Promise.reject(createHttpError(503, "busy", `Already planning ${this.activeJobs} missions, try again shortly`));
+        }
+
+        this.activeJobs++;
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(__filename, { workerData: { task, text, options }, resourceLimits: { maxOldGenerationSizeMb: WORKER_MEMORY_LIMIT_MB } });
+            let settled = false;
+            const settle = (callback, value) => {
+                if (!settled) {
+                    settled = true;
+                    this.activeJobs--;
+                    clearTimeout(timer);
+                    callback(value);
+                }
+            };
+            const timer = setTimeout(() => {
+                worker.terminate();
+                settle(reject, createHttpError(503, "planning_timeout", `Planning took longer than ${this.timeLimit} ms and was stopped`));
+            }, this.timeLimit);
+
+            worker.once("message", ({ result, error }) => settle(error ? reject : resolve, error ? classifyJobError(error) : result));
+            worker.once("error", error => settle(reject, createHttpError(500, "internal_error", error.message)));
+            worker.once("exit", code => settle(reject, createHttpError(500, "internal_error", `Planning worker exited with code ${code}`)));
+        });
+    }
+}
+
+module.exports = { PlanningServer };
+
+if (isMainThread && require.main === module) {
+    const argv = process.argv.slice(2);
+    const option = (name, fallback) => (argv.includes(name) ? argv[argv.indexOf(name) + 1] : fallback);
+    const server = new PlanningServer({
+        maxBodyBytes: Number(option("--max-body-bytes", DEFAULT_MAX_BODY_BYTES)),
+        timeLimit: Number(option("--time-limit", DEFAULT_TIME_LIMIT_MS)),
+    });
+    server.listen(Number(option("--port", process.env.PORT || DEFAULT_PORT)), option("--host", DEFAULT_HOST)).then(({ address, port }) => {
+        console.log(`DronePath planning service on http://${address}:${port} (POST /plan, POST /validate, GET /render.svg, GET /health)`);
+    }).catch(error => {
+        console.error(`dronepath server: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
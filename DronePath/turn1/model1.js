@@ -40,21 +40,28 @@ class RouteOptimizer {
     }
 }
 
-// Example usage:
-const waypoints = [
-    new Waypoint(0, 0),
-    new Waypoint(10, 0),
-    new Waypoint(5, 5),
-    new Waypoint(0, 10),
-];
+module.exports = {
+    Waypoint,
+    RouteOptimizer,
+};
 
-const routeOptimizer = new RouteOptimizer(waypoints);
-const optimizedRoute = routeOptimizer.optimizeRoute();
+if (require.main === module) {
+    // Example usage:
+    const waypoints = [
+        new Waypoint(0, 0),
+        new Waypoint(10, 0),
+        new Waypoint(5, 5),
+        new Waypoint(0, 10),
+    ];
 
-console.log("Optimized Route:");
-optimizedRoute.forEach((waypoint, index) => {
-    console.log(`Waypoint ${index + 1}: (${waypoint.x}, ${waypoint.y})`);
-});
+    const routeOptimizer = new RouteOptimizer(waypoints);
+    const optimizedRoute = routeOptimizer.optimizeRoute();
+
+    console.log("Optimized Route:");
+    optimizedRoute.forEach((waypoint, index) => {
+        console.log(`Waypoint ${index + 1}: (${waypoint.x}, ${waypoint.y})`);
+    });
+}
 
 /* Output:
     Optimized Route:
@@ -1,9 +1,193 @@
+const HEURISTICS = {
+    euclidean: (point1, point2) => Math.sqrt((point2.x - point1.x) ** 2 + (point2.y - point1.y) ** 2),
+    octile: (point1, point2) => {
+        const dx = Math.abs(point2.x - point1.x);
+        const dy = Math.abs(point2.y - point1.y);
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    },
+    manhattan: (point1, point2) => Math.abs(point2.x - point1.x) + Math.abs(point2.y - point1.y),
+};
+
+const NEIGHBOUR_OFFSETS = {
+    4: [[1, 0], [-1, 0], [0, 1], [0, -1]],
+    8: [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]],
+};
+
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        this.items.push({ value, priority });
+        let index = this.items.length - 1;
+
+        while (index > 0) {
+            const parentIndex = (index - 1) >> 1;
+            if (this.items[parentIndex].priority <= this.items[index].priority) {
+                break;
+            }
+            [this.items[parentIndex], this.items[index]] = [this.items[index], this.items[parentIndex]];
+            index = parentIndex;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let index = 0;
+
+            while (true) {
+                const left = 2 * index + 1;
+                const right = left + 1;
+                let smallest = index;
+
+                if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) {
+                    smallest = left;
+                }
+                if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) {
+                    smallest = right;
+                }
+                if (smallest === index) {
+                    break;
+                }
+
+                [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+                index = smallest;
+            }
+        }
+
+        return top.value;
+    }
+}
+
+// Uniform grid hash of point obstacles, so collision checks only visit obstacles in the cells a query can reach
+class SpatialIndex {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.keys = new Map();
+    }
+
+    get size() {
+        return this.keys.size;
+    }
+
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    insert(obstacle) {
+        this.remove(obstacle);
+
+        const key = `${this.toCell(obstacle.x)},${this.toCell(obstacle.y)}`;
+        if (!this.cells.has(key)) {
+            this.cells.set(key, new Set());
+        }
+        this.cells.get(key).add(obstacle);
+        this.keys.set(obstacle, key);
+    }
+
+    remove(obstacle) {
+        const key = this.keys.get(obstacle);
+        if (key === undefined) {
+            return false;
+        }
+
+        const cell = this.cells.get(key);
+        cell.delete(obstacle);
+        if (cell.size === 0) {
+            this.cells.delete(key);
+        }
+        this.keys.delete(obstacle);
+        return true;
+    }
+
+    // Obstacles that may lie within radius of the segment from point1 to point2 (a point when both are equal)
+    query(point1, point2, radius) {
+        const dx = point2.x - point1.x;
+        const dy = point2.y - point1.y;
+        const minColumn = this.toCell(Math.min(point1.x, point2.x) - radius);
+        const maxColumn = this.toCell(Math.max(point1.x, point2.x) + radius);
+        const found = [];
+
+        for (let column = minColumn; column <= maxColumn; column++) {
+            // Clip the segment to this column's x-range, widened by radius
+            let from = 0;
+            let to = 1;
+            if (dx !== 0) {
+                const t1 = (column * this.cellSize - radius - point1.x) / dx;
+                const t2 = ((column + 1) * this.cellSize + radius - point1.x) / dx;
+                from = Math.max(0, Math.min(t1, t2));
+                to = Math.min(1, Math.max(t1, t2));
+            }
+            const y1 = point1.y + dy * from;
+            const y2 = point1.y + dy * to;
+
+            for (let row = this.toCell(Math.min(y1, y2) - radius); row <= this.toCell(Math.max(y1, y2) + radius); row++) {
+                const cell = this.cells.get(`${column},${row}`);
+                if (cell) {
+                    found.push(...cell);
+                }
+            }
+        }
+        return found;
+    }
+}
+
 class DroneRouteOptimizer {
-    constructor(start, destination, obstacles) {
+    constructor(start, destination, obstacles, options = {}) {
         this.start = start;
         this.destination = destination;
         this.obstacles = obstacles;
         this.route = [start];
+        this.grid = null;
+        this.spatialIndex = null;
+
+        this.resolution = options.resolution || 1;
+        this.obstacleRadius = options.obstacleRadius || 10;
+        this.connectivity = options.connectivity || 8;
+        this.anyAngle = options.anyAngle !== undefined ? options.anyAngle : true;
+        this.heuristic = typeof options.heuristic === "function" ? options.heuristic : HEURISTICS[options.heuristic || "euclidean"];
+        this.windField = options.windField || null;
+        this.cruiseSpeed = options.cruiseSpeed;
+        this.legCost = (point1, point2) => this.calculateDistance(point1, point2);
+
+        if (!this.heuristic) {
+            throw new Error(`Unknown heuristic: ${options.heuristic}`);
+        }
+        if (!NEIGHBOUR_OFFSETS[this.connectivity]) {
+            throw new Error(`Connectivity must be 4 or 8, got ${options.connectivity}`);
+        }
+        // A* is only optimal when the heuristic never overestimates: Manhattan distance holds for 4-connected grid moves,
+        // octile for grid moves of either connectivity, and only euclidean for Theta*'s any-angle shortcuts
+        if (options.heuristic === "manhattan" && (this.connectivity !== 4 || this.anyAngle)) {
+            throw new Error("The manhattan heuristic overestimates diagonal and any-angle moves; use it with connectivity: 4 and anyAngle: false");
+        }
+        if (options.heuristic === "octile" && this.anyAngle) {
+            throw new Error("The octile heuristic overestimates any-angle moves; use it with anyAngle: false");
+        }
+
+        // With a wind field edges cost flight time. A named distance heuristic is divided by the fastest possible
+        // ground speed, airspeed plus the strongest wind, so it still never overestimates the remaining time.
+        if (this.windField) {
+            if (!(this.cruiseSpeed > 0)) {
+                throw new Error("A wind field requires a positive options.cruiseSpeed");
+            }
+            this.legCost = (point1, point2) => this.windField.getTravelTime(point1, point2, this.cruiseSpeed);
+            if (typeof options.heuristic !== "function") {
+                const distanceHeuristic = this.heuristic;
+                const maxGroundSpeed = this.cruiseSpeed + this.windField.maxSpeed;
+                this.heuristic = (point1, point2) => distanceHeuristic(point1, point2) / maxGroundSpeed;
+            }
+        }
     }
 
     // Calculate the distance between two points
@@ -11,50 +195,267 @@ class DroneRouteOptimizer {
         return Math.sqrt(Math.pow(point2.x - point1.x, 2) + Math.pow(point2.y - point1.y, 2));
     }
 
+    // Obstacles hashed into cells one obstacle radius wide, built once and kept up to date by replanRoute
+    getSpatialIndex() {
+        if (!this.spatialIndex) {
+            this.spatialIndex = new SpatialIndex(this.obstacleRadius);
+            this.obstacles.forEach(obstacle => this.spatialIndex.insert(obstacle));
+        }
+        return this.spatialIndex;
+    }
+
     // Check if a point is obstructed
     isObstructed(point) {
-        for (let obstacle of this.obstacles) {
-            if (this.calculateDistance(point, obstacle) < 10) {
+        for (let obstacle of this.getSpatialIndex().query(point, point, this.obstacleRadius)) {
+            if (this.calculateDistance(point, obstacle) < this.obstacleRadius) {
                 return true;
             }
         }
         return false;
     }
 
-    // Find the next point in the route
-    findNextPoint() {
-        let nextPoint = null;
-        let minDistance = Infinity;
+    // Check if the straight segment between two points clears every obstacle
+    hasLineOfSight(point1, point2) {
+        const dx = point2.x - point1.x;
+        const dy = point2.y - point1.y;
+        const lengthSquared = dx ** 2 + dy ** 2;
+
+        for (let obstacle of this.getSpatialIndex().query(point1, point2, this.obstacleRadius)) {
+            const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((obstacle.x - point1.x) * dx + (obstacle.y - point1.y) * dy) / lengthSquared));
+            const nearest = { x: point1.x + t * dx, y: point1.y + t * dy };
+
+            if (this.calculateDistance(nearest, obstacle) < this.obstacleRadius) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Build an occupancy grid covering start, destination, obstacles and any extra points, aligned so the start is a grid node
+    buildGrid(extraPoints = []) {
+        const points = [this.start, this.destination, ...extraPoints, ...this.obstacles];
+        const padding = this.obstacleRadius + this.resolution;
+        const minX = Math.min(...points.map(point => point.x)) - padding;
+        const minY = Math.min(...points.map(point => point.y)) - padding;
+        const maxX = Math.max(...points.map(point => point.x)) + padding;
+        const maxY = Math.max(...points.map(point => point.y)) + padding;
+
+        const originX = this.start.x - Math.ceil((this.start.x - minX) / this.resolution) * this.resolution;
+        const originY = this.start.y - Math.ceil((this.start.y - minY) / this.resolution) * this.resolution;
+        const columns = Math.ceil((maxX - originX) / this.resolution) + 1;
+        const rows = Math.ceil((maxY - originY) / this.resolution) + 1;
 
-        for (let x = this.route[this.route.length - 1].x - 10; x <= this.route[this.route.length - 1].x + 10; x++) {
-            for (let y = this.route[this.route.length - 1].y - 10; y <= this.route[this.route.length - 1].y + 10; y++) {
-                let point = { x, y };
+        const blocked = new Uint8Array(columns * rows);
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const point = { x: originX + column * this.resolution, y: originY + row * this.resolution };
+                blocked[row * columns + column] = this.isObstructed(point) ? 1 : 0;
+            }
+        }
 
-                // Skip the current point and obstructed points
-                if (this.route.some(p => p.x === point.x && p.y === point.y) || this.isObstructed(point)) {
+        return { originX, originY, columns, rows, blocked };
+    }
+
+    // The occupancy grid is built once and kept up to date by replanRoute
+    getGrid() {
+        if (!this.grid) {
+            this.grid = this.buildGrid();
+        }
+        return this.grid;
+    }
+
+    isInsideGrid(point) {
+        const grid = this.getGrid();
+        const column = Math.round((point.x - grid.originX) / this.resolution);
+        const row = Math.round((point.y - grid.originY) / this.resolution);
+        return column >= 0 && column < grid.columns && row >= 0 && row < grid.rows;
+    }
+
+    // Re-evaluate only the cells within reach of the given obstacles
+    updateGridCells(changedObstacles) {
+        const grid = this.getGrid();
+
+        for (const obstacle of changedObstacles) {
+            const minColumn = Math.max(0, Math.floor((obstacle.x - this.obstacleRadius - grid.originX) / this.resolution));
+            const maxColumn = Math.min(grid.columns - 1, Math.ceil((obstacle.x + this.obstacleRadius - grid.originX) / this.resolution));
+            const minRow = Math.max(0, Math.floor((obstacle.y - this.obstacleRadius - grid.originY) / this.resolution));
+            const maxRow = Math.min(grid.rows - 1, Math.ceil((obstacle.y + this.obstacleRadius - grid.originY) / this.resolution));
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let column = minColumn; column <= maxColumn; column++) {
+                    const point = { x: grid.originX + column * this.resolution, y: grid.originY + row * this.resolution };
+                    grid.blocked[row * grid.columns + column] = this.isObstructed(point) ? 1 : 0;
+                }
+            }
+        }
+    }
+
+    // A* over the occupancy grid, or Theta* when any-angle moves are enabled (the default). A* returns the shortest grid
+    // path; Theta*'s any-angle paths are usually shorter but only approximate the shortest one, so pass anyAngle: false
+    // when the route must be provably optimal on the grid
+    findPath(start = this.start) {
+        if (this.isObstructed(start)) {
+            return { status: "unreachable", reason: "start is obstructed", path: [], expandedNodes: 0 };
+        }
+        if (this.isObstructed(this.destination)) {
+            return { status: "unreachable", reason: "destination is obstructed", path: [], expandedNodes: 0 };
+        }
+
+        const grid = this.getGrid();
+        const nodePoint = index => ({
+            x: grid.originX + (index % grid.columns) * this.resolution,
+            y: grid.originY + Math.floor(index / grid.columns) * this.resolution,
+        });
+        const toIndex = point => Math.round((point.y - grid.originY) / this.resolution) * grid.columns + Math.round((point.x - grid.originX) / this.resolution);
+
+        const startIndex = toIndex(start);
+        const startPoint = nodePoint(startIndex);
+        const goalIndex = toIndex(this.destination);
+        const goalPoint = nodePoint(goalIndex);
+
+        const costs = new Float64Array(grid.blocked.length).fill(Infinity);
+        const parents = new Int32Array(grid.blocked.length).fill(-1);
+        const closed = new Uint8Array(grid.blocked.length);
+        const openSet = new MinHeap();
+        let expandedNodes = 0;
+
+        costs[startIndex] = 0;
+        parents[startIndex] = startIndex;
+        openSet.push(startIndex, this.heuristic(startPoint, goalPoint));
+
+        while (openSet.size > 0) {
+            const current = openSet.pop();
+            if (closed[current]) {
+                continue;
+            }
+            closed[current] = 1;
+            expandedNodes++;
+
+            if (current === goalIndex) {
+                break;
+            }
+
+            const currentPoint = nodePoint(current);
+            const column = current % grid.columns;
+            const row = Math.floor(current / grid.columns);
+
+            for (const [dx, dy] of NEIGHBOUR_OFFSETS[this.connectivity]) {
+                const neighbourColumn = column + dx;
+                const neighbourRow = row + dy;
+                if (neighbourColumn < 0 || neighbourColumn >= grid.columns || neighbourRow < 0 || neighbourRow >= grid.rows) {
                     continue;
                 }
 
-                // Calculate the distance to the destination
-                let distance = this.calculateDistance(point, this.destination);
+                const neighbour = neighbourRow * grid.columns + neighbourColumn;
+                if (closed[neighbour] || grid.blocked[neighbour]) {
+                    continue;
+                }
 
-                // Update the next point if the distance is smaller
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    nextPoint = point;
+                const neighbourPoint = nodePoint(neighbour);
+                const parent = parents[current];
+                const parentPoint = nodePoint(parent);
+                let candidateParent = current;
+                let candidateCost = Infinity;
+
+                if (this.anyAngle && parent !== current && this.hasLineOfSight(parentPoint, neighbourPoint)) {
+                    candidateParent = parent;
+                    candidateCost = costs[parent] + this.legCost(parentPoint, neighbourPoint);
+                } else if (this.hasLineOfSight(currentPoint, neighbourPoint)) {
+                    candidateCost = costs[current] + this.legCost(currentPoint, neighbourPoint);
+                }
+
+                if (candidateCost < costs[neighbour]) {
+                    costs[neighbour] = candidateCost;
+                    parents[neighbour] = candidateParent;
+                    openSet.push(neighbour, candidateCost + this.heuristic(neighbourPoint, goalPoint));
                 }
             }
         }
 
-        return nextPoint;
+        if (!closed[goalIndex] || !this.hasLineOfSight(goalPoint, this.destination) || !this.hasLineOfSight(start, startPoint)) {
+            return { status: "unreachable", reason: "no obstacle-free path on the grid", path: [], expandedNodes };
+        }
+
+        const path = [this.destination];
+        for (let index = goalIndex; index !== startIndex; index = parents[index]) {
+            path.unshift(nodePoint(index));
+        }
+        // A start between grid nodes flies to its snapped node first
+        if (this.calculateDistance(start, startPoint) > 0) {
+            path.unshift(startPoint);
+        }
+        path.unshift(start);
+
+        // Drop the snapped goal node when it coincides with the destination
+        if (this.calculateDistance(path[path.length - 2], this.destination) === 0) {
+            path.splice(path.length - 2, 1);
+        }
+
+        const distance = path.slice(1).reduce((total, point, i) => total + this.calculateDistance(path[i], point), 0);
+        const cost = path.slice(1).reduce((total, point, i) => total + this.legCost(path[i], point), 0);
+        return { status: "found", path, distance, cost, expandedNodes };
     }
 
     // Optimize the route
     optimizeRoute() {
-        while (this.calculateDistance(this.route[this.route.length - 1], this.destination) > 10) {
-            let nextPoint = this.findNextPoint();
-            this.route.push(nextPoint);
+        const result = this.findPath();
+        this.route = result.status === "found" ? result.path : [this.start];
+        return result;
+    }
+
+    // Re-plan from the current position after obstacles were added or removed mid-flight.
+    // The flown part of the route is kept; the cached grid is patched around the changed obstacles
+    // and the remaining route is reused as-is when new obstacles leave it clear.
+    replanRoute(currentPosition, { added = [], removed = [] } = {}) {
+        const removedSet = new Set(removed);
+        this.obstacles = this.obstacles.filter(obstacle => !removedSet.has(obstacle)).concat(added);
+        removed.forEach(obstacle => this.getSpatialIndex().remove(obstacle));
+        added.forEach(obstacle => this.getSpatialIndex().insert(obstacle));
+
+        if (this.grid && this.isInsideGrid(currentPosition)) {
+            this.updateGridCells([...added, ...removed]);
+        } else {
+            this.grid = this.buildGrid([currentPosition]);
+        }
+
+        // The leg the drone is on is the route segment closest to its position
+        let currentLeg = 0;
+        let closestDistance = Infinity;
+        for (let i = 0; i < this.route.length - 1; i++) {
+            const distance = this.distanceToSegment(currentPosition, this.route[i], this.route[i + 1]);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                currentLeg = i;
+            }
         }
+
+        const flown = this.route.slice(0, currentLeg + 1);
+        if (this.calculateDistance(flown[flown.length - 1], currentPosition) === 0) {
+            flown.pop();
+        }
+
+        const remaining = [currentPosition, ...this.route.slice(currentLeg + 1)];
+        const remainingIsClear = this.route.length > 1 && removed.length === 0 && remaining.slice(1).every((point, i) => this.hasLineOfSight(remaining[i], point));
+
+        let result;
+        if (remainingIsClear) {
+            const distance = remaining.slice(1).reduce((total, point, i) => total + this.calculateDistance(remaining[i], point), 0);
+            const cost = remaining.slice(1).reduce((total, point, i) => total + this.legCost(remaining[i], point), 0);
+            result = { status: "found", path: remaining, distance, cost, expandedNodes: 0 };
+        } else {
+            result = this.findPath(currentPosition);
+        }
+
+        this.route = flown.concat(result.status === "found" ? result.path : [currentPosition]);
+        return { ...result, reused: remainingIsClear };
+    }
+
+    distanceToSegment(point, segmentStart, segmentEnd) {
+        const dx = segmentEnd.x - segmentStart.x;
+        const dy = segmentEnd.y - segmentStart.y;
+        const lengthSquared = dx ** 2 + dy ** 2;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - segmentStart.x) * dx + (point.y - segmentStart.y) * dy) / lengthSquared));
+        return this.calculateDistance(point, { x: segmentStart.x + t * dx, y: segmentStart.y + t * dy });
     }
 
     // Get the optimized route
@@ -63,28 +464,53 @@ class DroneRouteOptimizer {
     }
 }
 
-// Example usage
-let start = { x: 0, y: 0 };
-let destination = { x: 100, y: 100 };
-let obstacles = [{ x: 50, y: 50 }, { x: 30, y: 30 }];
+module.exports = {
+    HEURISTICS,
+    MinHeap,
+    SpatialIndex,
+    DroneRouteOptimizer,
+};
 
-let optimizer = new DroneRouteOptimizer(start, destination, obstacles);
-optimizer.optimizeRoute();
-console.log(optimizer.getRoute());
+if (require.main === module) {
+    // Example usage
+    let start = { x: 0, y: 0 };
+    let destination = { x: 100, y: 100 };
+    let obstacles = [{ x: 50, y: 50 }, { x: 30, y: 30 }];
+
+    let optimizer = new DroneRouteOptimizer(start, destination, obstacles, { resolution: 5, heuristic: "euclidean" });
+    optimizer.optimizeRoute();
+    console.log(optimizer.getRoute());
+
+    // A destination inside an obstacle yields a typed "unreachable" result instead of a null waypoint
+    let blockedOptimizer = new DroneRouteOptimizer(start, { x: 52, y: 48 }, obstacles);
+    console.log(blockedOptimizer.optimizeRoute());
+
+    // Halfway along the route a new obstacle appears; the flown part is kept and only the rest is re-planned
+    let replanned = optimizer.replanRoute({ x: 45, y: 30 }, { added: [{ x: 80, y: 70 }] });
+    console.log(replanned.status, replanned.reused, optimizer.getRoute());
+}
 
 /*
     output : 
-    [
+
+[
+  { x: 0, y: 0 },
+  { x: 35, y: 20 },
+  { x: 60, y: 45 },
+  { x: 100, y: 100 }
+]
+{
+  status: 'unreachable',
+  reason: 'destination is obstructed',
+  path: [],
+  expandedNodes: 0
+}
+found false [
   { x: 0, y: 0 },
-  { x: 10, y: 10 },
-  { x: 20, y: 20 },
-  { x: 20, y: 30 },
-  { x: 30, y: 40 },
-  { x: 40, y: 50 },
-  { x: 50, y: 60 },
-  { x: 60, y: 70 },
-  { x: 70, y: 80 },
-  { x: 80, y: 90 },
-  { x: 90, y: 100 }
+  { x: 35, y: 20 },
+  { x: 45, y: 30 },
+  { x: 60, y: 45 },
+  { x: 70, y: 75 },
+  { x: 100, y: 100 }
 ]
 */
\ No newline at end of file
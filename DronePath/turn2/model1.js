@@ -1,3 +1,5 @@
+const planner = require("../turn3/model2.js");
+
 class Waypoint {
     constructor(x, y) {
         this.x = x;
@@ -88,31 +90,22 @@ class RouteOptimizer {
         return route;
     }
 
-    findSafeRoute(lineSegment) {
-        const safeRoute = [lineSegment.start];
-
-        let currentWaypoint = lineSegment.start;
-        let nextWaypoint = lineSegment.end;
-
-        while (currentWaypoint.distanceTo(nextWaypoint) > this.safeDistance) {
-            const intermediateWaypoint = this.findIntermediateWaypoint(currentWaypoint, nextWaypoint);
-            safeRoute.push(intermediateWaypoint);
-
-            currentWaypoint = intermediateWaypoint;
+    // turn3's visibility-graph planner, built once over these obstacles with safeDistance as the subdivision step
+    getPlanner() {
+        if (!this.planner) {
+            const waypoints = this.waypoints.map(waypoint => new planner.Waypoint(waypoint.x, waypoint.y));
+            const obstacles = this.obstacles.map(obstacle => new planner.Obstacle(obstacle.x, obstacle.y, obstacle.radius));
+            this.planner = new planner.RouteOptimizer(waypoints, obstacles, this.safeDistance, { clearance: 0 });
         }
-
-        safeRoute.push(nextWaypoint);
-        return safeRoute;
+        return this.planner;
     }
 
-    findIntermediateWaypoint(start, end) {
-        const angle = Math.atan2(end.y - start.y, end.x - start.x);
-        const distance = this.safeDistance;
-
-        const intermediateX = start.x + distance * Math.cos(angle);
-        const intermediateY = start.y + distance * Math.sin(angle);
-
-        return new Waypoint(intermediateX, intermediateY);
+    // Shortest polyline around the obstacles, split into steps of at most safeDistance.
+    // Throws "No safe route: ..." when an end lies inside an obstacle or the obstacles close the way.
+    findSafeRoute(lineSegment) {
+        const { start, end } = lineSegment;
+        const plannedRoute = this.getPlanner().findSafeRoute(new planner.LineSegment(new planner.Waypoint(start.x, start.y), new planner.Waypoint(end.x, end.y)));
+        return [start, ...plannedRoute.slice(1, -1).map(waypoint => new Waypoint(waypoint.x, waypoint.y)), end];
     }
 
     isSafeRoute(lineSegment) {
@@ -125,58 +118,82 @@ class RouteOptimizer {
     }
 }
 
-// Example usage:
-const waypoints = [
-    new Waypoint(0, 0),
-    new Waypoint(10, 0),
-    new Waypoint(5, 5),
-    new Waypoint(0, 10),
-];
-
-const obstacles = [
-    new Obstacle(3, 3, 1),
-    new Obstacle(7, 2, 1.5),
-];
-
-const safeDistance = 1.5;
-const routeOptimizer = new RouteOptimizer(waypoints, obstacles, safeDistance);
-const optimizedRoute = routeOptimizer.optimizeRoute();
-
-console.log("Optimized Route:");
-optimizedRoute.forEach((waypoint, index) => {
-    console.log(`Waypoint ${index + 1}: (${waypoint.x}, ${waypoint.y})`);
-});
+module.exports = {
+    Waypoint,
+    Obstacle,
+    LineSegment,
+    RouteOptimizer,
+};
+
+if (require.main === module) {
+    // Example usage:
+    const waypoints = [
+        new Waypoint(0, 0),
+        new Waypoint(10, 0),
+        new Waypoint(5, 5),
+        new Waypoint(0, 10),
+    ];
+
+    const obstacles = [
+        new Obstacle(3, 3, 1),
+        new Obstacle(7, 2, 1.5),
+    ];
+
+    const safeDistance = 1.5;
+    const routeOptimizer = new RouteOptimizer(waypoints, obstacles, safeDistance);
+    const optimizedRoute = routeOptimizer.optimizeRoute();
+
+    console.log("Optimized Route:");
+    optimizedRoute.forEach((waypoint, index) => {
+        console.log(`Waypoint ${index + 1}: (${waypoint.x}, ${waypoint.y})`);
+    });
+
+    // A waypoint inside an obstacle cannot be reached and is reported instead of flown through
+    try {
+        new RouteOptimizer([new Waypoint(0, 0), new Waypoint(3, 3.5)], obstacles, safeDistance).optimizeRoute();
+    } catch (error) {
+        console.log(error.message);
+    }
+}
 
 /*
     Output:
     Optimized Route:
 Waypoint 1: (0, 0)
-Waypoint 2: (1.0606601717798214, 1.0606601717798212)
-Waypoint 3: (2.121320343559643, 2.121320343559643)
-Waypoint 4: (3.1819805153394642, 3.181980515339464)
-Waypoint 5: (4.242640687119286, 4.242640687119286)
-Waypoint 6: (5, 5)
-Waypoint 7: (6.060660171779821, 3.939339828220179)
-Waypoint 8: (7.121320343559642, 2.878679656440358)
-Waypoint 9: (8.181980515339463, 1.8180194846605369)
-Waypoint 10: (9.242640687119284, 0.7573593128807157)
-Waypoint 11: (10, 0)
-Waypoint 12: (8.939339828220179, 1.0606601717798214)
-Waypoint 13: (7.878679656440358, 2.121320343559643)
-Waypoint 14: (6.818019484660537, 3.1819805153394642)
-Waypoint 15: (5.757359312880716, 4.242640687119286)
-Waypoint 16: (4.696699141100895, 5.303300858899107)
-Waypoint 17: (3.636038969321074, 6.363961030678928)
-Waypoint 18: (2.5753787975412523, 7.424621202458749)
-Waypoint 19: (1.5147186257614311, 8.48528137423857)
-Waypoint 20: (0.4540584539816095, 9.54594154601839)
-Waypoint 21: (0, 10)
-Waypoint 22: (9.184850993605148e-17, 8.5)
-Waypoint 23: (-1.4936988751544402e-16, 7)
-Waypoint 24: (-5.752137757939253e-17, 5.5)
-Waypoint 25: (3.432713235665895e-17, 4)
-Waypoint 26: (-2.0689126509483655e-16, 2.5)
-Waypoint 27: (-1.1504275515878507e-16, 1)
-Waypoint 28: (0, 0)
+Waypoint 2: (0.7783830388340081, 1.2822323677304106)
+Waypoint 3: (1.5567660776680161, 2.564464735460821)
+Waypoint 4: (2.058019655422455, 3.3901810342129006)
+Waypoint 5: (2.27903945703323, 3.72096054296677)
+Waypoint 6: (2.6098189657870994, 3.941980344577545)
+Waypoint 7: (3.9814469458028374, 4.549134924925866)
+Waypoint 8: (5, 5)
+Waypoint 9: (6.278348855947218, 4.2152553265561865)
+Waypoint 10: (7.5566977118944365, 3.430510653112373)
+Waypoint 11: (7.585271356229029, 3.4129700458766163)
+Waypoint 12: (8.081440453970243, 3.081440453970244)
+Waypoint 13: (8.412970045876616, 2.585271356229029)
+Waypoint 14: (9.19771471932043, 1.3069225002818106)
+Waypoint 15: (9.982459392764243, 0.028573644334591863)
+Waypoint 16: (10, 0)
+Waypoint 17: (9.215255326556186, 1.2783488559472185)
+Waypoint 18: (8.430510653112373, 2.5566977118944374)
+Waypoint 19: (8.412970045876616, 2.585271356229029)
+Waypoint 20: (8.081440453970243, 3.081440453970244)
+Waypoint 21: (6.941971266259788, 4.056945436150487)
+Waypoint 22: (5.802502078549333, 5.032450418330731)
+Waypoint 23: (4.6630328908388785, 6.007955400510974)
+Waypoint 24: (3.523563703128424, 6.9834603826912165)
+Waypoint 25: (2.38409451541797, 7.958965364871459)
+Waypoint 26: (1.2446253277075152, 8.934470347051702)
+Waypoint 27: (0.10515613999706086, 9.909975329231946)
+Waypoint 28: (0, 10)
+Waypoint 29: (0, 8.5)
+Waypoint 30: (0, 7)
+Waypoint 31: (0, 5.5)
+Waypoint 32: (0, 4)
+Waypoint 33: (0, 2.5)
+Waypoint 34: (0, 1)
+Waypoint 35: (0, 0)
+No safe route: waypoint (3, 3.5) lies inside obstacle at (3, 3) or within its clearance of 0
 
 */
\ No newline at end of file
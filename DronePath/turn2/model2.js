@@ -111,26 +111,34 @@ class RouteOptimizer {
     }
 }
 
-// Example usage:
-const waypoints = [
-    new Waypoint(0, 0),
-    new Waypoint(10, 0),
-    new Waypoint(5, 5),
-    new Waypoint(0, 10),
-];
-
-const obstacles = [
-    new Obstacle(3, 3, 2),
-    new Obstacle(7, 2, 1),
-];
-
-const routeOptimizer = new RouteOptimizer(waypoints, obstacles);
-const optimizedRoute = routeOptimizer.optimizeRoute();
-
-console.log("Optimized Route:");
-optimizedRoute.forEach((waypoint, index) => {
-    console.log(`Waypoint ${index + 1}: (${waypoint.x}, ${waypoint.y})`);
-});
+module.exports = {
+    Waypoint,
+    Obstacle,
+    RouteOptimizer,
+};
+
+if (require.main === module) {
+    // Example usage:
+    const waypoints = [
+        new Waypoint(0, 0),
+        new Waypoint(10, 0),
+        new Waypoint(5, 5),
+        new Waypoint(0, 10),
+    ];
+
+    const obstacles = [
+        new Obstacle(3, 3, 2),
+        new Obstacle(7, 2, 1),
+    ];
+
+    const routeOptimizer = new RouteOptimizer(waypoints, obstacles);
+    const optimizedRoute = routeOptimizer.optimizeRoute();
+
+    console.log("Optimized Route:");
+    optimizedRoute.forEach((waypoint, index) => {
+        console.log(`Waypoint ${index + 1}: (${waypoint.x}, ${waypoint.y})`);
+    });
+}
 
 /*
     Optimized Route:
@@ -230,22 +230,31 @@ class RouteOptimizer {
     }
 }
 
-const waypoints = [
-    new Waypoint(0, 0),
-    new Waypoint(10, 0),
-    new Waypoint(5, 5),
-    new Waypoint(0, 10),
-];
-
-const obstacles = [
-    new Obstacle(3, 3, 2),
-    new Obstacle(7, 2, 1),
-];
-
-const routeOptimizer = new RouteOptimizer(waypoints, obstacles);
-const optimizedRoute = routeOptimizer.optimizeRoute();
-
-routeOptimizer.visualizeRoute(optimizedRoute);
+module.exports = {
+    Waypoint,
+    Obstacle,
+    LineSegment,
+    RouteOptimizer,
+};
+
+if (require.main === module) {
+    const waypoints = [
+        new Waypoint(0, 0),
+        new Waypoint(10, 0),
+        new Waypoint(5, 5),
+        new Waypoint(0, 10),
+    ];
+
+    const obstacles = [
+        new Obstacle(3, 3, 2),
+        new Obstacle(7, 2, 1),
+    ];
+
+    const routeOptimizer = new RouteOptimizer(waypoints, obstacles);
+    const optimizedRoute = routeOptimizer.optimizeRoute();
+
+    routeOptimizer.visualizeRoute(optimizedRoute);
+}
 
 /*
     Output:
@@ -1,24 +1,106 @@
+const fs = require("fs");
+
+const VISIBILITY_POLYGON_SIDES = 16;
+const VISIBILITY_EPSILON = 1e-6;
+const HELD_KARP_MAX_WAYPOINTS = 15;
+const ORDERING_STRATEGIES = ["auto", "nearest-neighbour", "2-opt", "or-opt", "local-search", "held-karp"];
+const FLEET_OBJECTIVES = ["makespan", "distance"];
+const LEG_COST_MODES = ["distance", "time", "energy"];
+const WGS84_SEMI_MAJOR_AXIS = 6378137;
+const WGS84_FLATTENING = 1 / 298.257223563;
+const WGS84_ECCENTRICITY_SQUARED = WGS84_FLATTENING * (2 - WGS84_FLATTENING);
+const EARTH_MEAN_RADIUS = 6371008.8;
+const DUBINS_WORDS = ["LSL", "RSR", "LSR", "RSL", "RLR", "LRL"];
+const MISSION_FORMAT_VERSION = 1;
+const MISSION_FRAMES = ["local", "geodetic"];
+const EXPORT_CIRCLE_SEGMENTS = 32;
+const DEFAULT_MISSION_ALTITUDE = 30;
+const MAV_CMD_NAV_WAYPOINT = 16;
+const MAV_CMD_NAV_RETURN_TO_LAUNCH = 20;
+const MAV_CMD_NAV_TAKEOFF = 22;
+const MAV_FRAME_GLOBAL = 0;
+const MAV_FRAME_MISSION = 2;
+const MAV_FRAME_GLOBAL_RELATIVE_ALT = 3;
+const MAV_AUTOPILOTS = { ardupilot: 3, px4: 12 };
+const SVG_DEFAULT_WIDTH = 800;
+const SVG_MARGIN = 50;
+const SVG_LEGEND_HEIGHT = 30;
+const TERMINAL_DEFAULT_WIDTH = 60;
+const TERMINAL_SYMBOLS = { obstacle: "O", clearance: ".", leg: "*", via: "+", waypoint: "W" };
+const TERMINAL_COLOURS = { obstacle: "\x1b[31m", clearance: "\x1b[33m", leg: "\x1b[36m", via: "\x1b[36m", waypoint: "\x1b[1;32m" };
+
 class Waypoint {
-    constructor(x, y) {
+    // options.earliest / options.latest bound the service start time, options.serviceTime is the hover duration
+    constructor(x, y, z, options = {}) {
         this.x = x;
         this.y = y;
+        if (z !== undefined) {
+            this.z = z;
+        }
+        for (const field of ["earliest", "latest", "serviceTime"]) {
+            if (options[field] !== undefined) {
+                this[field] = options[field];
+            }
+        }
     }
 
+    // Waypoints without z are treated as flying at altitude 0
     distanceTo(otherWaypoint) {
+        return Math.sqrt((this.x - otherWaypoint.x) ** 2 + (this.y - otherWaypoint.y) ** 2 + ((this.z || 0) - (otherWaypoint.z || 0)) ** 2);
+    }
+
+    horizontalDistanceTo(otherWaypoint) {
         return Math.sqrt((this.x - otherWaypoint.x) ** 2 + (this.y - otherWaypoint.y) ** 2);
     }
 }
 
+// Altitudes spanned by a segment, or null for purely 2D segments (which every obstacle blocks)
+function getAltitudeBand(lineSegment) {
+    if (lineSegment.altitudeBand) {
+        return lineSegment.altitudeBand;
+    }
+    if (lineSegment.start.z === undefined && lineSegment.end.z === undefined) {
+        return null;
+    }
+
+    const startZ = lineSegment.start.z || 0;
+    const endZ = lineSegment.end.z || 0;
+    return [Math.min(startZ, endZ), Math.max(startZ, endZ)];
+}
+
+function overlapsAltitudeBand(obstacle, band, margin = 0) {
+    return band === null || (band[0] <= obstacle.maxAltitude + margin && band[1] >= obstacle.minAltitude - margin);
+}
+
+// Clearance from a horizontal distance (negative inside the footprint) and the vertical gap to the obstacle's altitude range
+function combineClearance(obstacle, lineSegment, horizontalDistance) {
+    const band = getAltitudeBand(lineSegment);
+    const verticalGap = band === null ? 0 : Math.max(0, band[0] - obstacle.maxAltitude, obstacle.minAltitude - band[1]);
+    return verticalGap === 0 ? horizontalDistance : Math.sqrt(Math.max(0, horizontalDistance) ** 2 + verticalGap ** 2);
+}
+
+// Obstacles are vertical cylinders (or prisms) between minAltitude and maxAltitude
 class Obstacle {
-    constructor(x, y, radius) {
+    constructor(x, y, radius, options = {}) {
         this.x = x;
         this.y = y;
         this.radius = radius;
+        this.minAltitude = options.minAltitude !== undefined ? options.minAltitude : -Infinity;
+        this.maxAltitude = options.maxAltitude !== undefined ? options.maxAltitude : Infinity;
+        // Overrides the optimizer's clearance for this obstacle
+        if (options.clearance !== undefined) {
+            this.clearance = options.clearance;
+        }
     }
 
-    intersectsWithLineSegment(lineSegment) {
+    // margin inflates the obstacle by a clearance buffer, sideways and vertically
+    intersectsWithLineSegment(lineSegment, margin = 0) {
+        if (!overlapsAltitudeBand(this, getAltitudeBand(lineSegment), margin)) {
+            return false;
+        }
+
         const distance = this.distanceToLineSegment(lineSegment);
-        return distance <= this.radius;
+        return distance <= this.radius + margin;
     }
 
     distanceToLineSegment(lineSegment) {
@@ -42,316 +124,4041 @@ class Obstacle {
     distanceTo(point) {
         return Math.sqrt((this.x - point.x) ** 2 + (this.y - point.y) ** 2);
     }
-}
 
-class LineSegment {
-    constructor(start, end) {
-        this.start = start;
-        this.end = end;
+    containsPoint(point, margin = 0) {
+        if (point.z !== undefined && !overlapsAltitudeBand(this, [point.z, point.z], margin)) {
+            return false;
+        }
+        return Math.sqrt((this.x - point.x) ** 2 + (this.y - point.y) ** 2) <= this.radius + margin;
     }
-}
 
-class RouteOptimizer {
-    constructor(waypoints, obstacles, safeDistance) {
-        this.waypoints = waypoints;
-        this.obstacles = obstacles;
-        this.safeDistance = safeDistance;
+    getBoundingRadius() {
+        return this.radius;
     }
 
-    optimizeRoute() {
-        const route = [this.waypoints[0]];
-        const unvisitedWaypoints = this.waypoints.slice(1);
+    // Signed clearance of a segment (negative when it passes through the obstacle) and the segment's closest point
+    measureClearance(lineSegment) {
+        const point = closestPointOnSegment(this, lineSegment);
+        const horizontalDistance = Math.sqrt((this.x - point.x) ** 2 + (this.y - point.y) ** 2) - this.radius;
+        return { distance: combineClearance(this, lineSegment, horizontalDistance), point };
+    }
 
-        while (unvisitedWaypoints.length > 0) {
-            const currentWaypoint = route[route.length - 1];
-            const closestWaypoint = unvisitedWaypoints.reduce((minWaypoint, waypoint) => {
-                if (waypoint.distanceTo(currentWaypoint) < minWaypoint.distanceTo(currentWaypoint)) {
-                    return waypoint;
-                }
-                return minWaypoint;
-            }, unvisitedWaypoints[0]);
+    // Vertices of a regular polygon circumscribing the circle inflated by margin,
+    // so every polygon edge stays tangent to (and outside of) the obstacle
+    getVisibilityVertices(margin) {
+        const inflatedRadius = this.radius + margin;
+        const vertexRadius = inflatedRadius / Math.cos(Math.PI / VISIBILITY_POLYGON_SIDES);
+        const vertices = [];
+
+        for (let i = 0; i < VISIBILITY_POLYGON_SIDES; i++) {
+            const angle = 2 * Math.PI * i / VISIBILITY_POLYGON_SIDES;
+            vertices.push(new Waypoint(this.x + vertexRadius * Math.cos(angle), this.y + vertexRadius * Math.sin(angle)));
+        }
 
-            const lineSegment = new LineSegment(currentWaypoint, closestWaypoint);
-            const safeRoute = this.findSafeRoute(lineSegment);
+        return vertices;
+    }
+}
 
-            route.push(...safeRoute.slice(1));
-            unvisitedWaypoints.splice(unvisitedWaypoints.indexOf(closestWaypoint), 1);
+class PolygonObstacle {
+    constructor(vertices, options = {}) {
+        if (vertices.length < 3) {
+            throw new Error(`A polygon obstacle needs at least 3 vertices, got ${vertices.length}`);
         }
 
-        // Optional: Return to start
-        if (route.length > 1) {
-            const lineSegment = new LineSegment(route[route.length - 1], route[0]);
-            const safeRoute = this.findSafeRoute(lineSegment);
-            route.push(...safeRoute.slice(1));
+        this.vertices = vertices.map(vertex => new Waypoint(vertex.x, vertex.y));
+        this.x = this.vertices.reduce((sum, vertex) => sum + vertex.x, 0) / this.vertices.length;
+        this.y = this.vertices.reduce((sum, vertex) => sum + vertex.y, 0) / this.vertices.length;
+        this.minAltitude = options.minAltitude !== undefined ? options.minAltitude : -Infinity;
+        this.maxAltitude = options.maxAltitude !== undefined ? options.maxAltitude : Infinity;
+        // Overrides the optimizer's clearance for this obstacle
+        if (options.clearance !== undefined) {
+            this.clearance = options.clearance;
         }
+    }
 
-        return route;
+    getEdges() {
+        return this.vertices.map((vertex, i) => new LineSegment(vertex, this.vertices[(i + 1) % this.vertices.length]));
     }
 
-    findSafeRoute(lineSegment) {
-        const safeRoute = [lineSegment.start];
+    intersectsWithLineSegment(lineSegment, margin = 0) {
+        if (!overlapsAltitudeBand(this, getAltitudeBand(lineSegment), margin)) {
+            return false;
+        }
+        return this.distanceToLineSegment(lineSegment) <= margin;
+    }
 
-        let currentWaypoint = lineSegment.start;
-        let nextWaypoint = lineSegment.end;
+    distanceToLineSegment(lineSegment) {
+        if (this.containsPoint(lineSegment.start) || this.containsPoint(lineSegment.end)) {
+            return 0;
+        }
 
-        while (currentWaypoint.distanceTo(nextWaypoint) > this.safeDistance) {
-            const intermediateWaypoint = this.findIntermediateWaypoint(currentWaypoint, nextWaypoint);
-            safeRoute.push(intermediateWaypoint);
+        let minDistance = Infinity;
+        for (const edge of this.getEdges()) {
+            if (segmentsIntersect(edge, lineSegment)) {
+                return 0;
+            }
 
-            currentWaypoint = intermediateWaypoint;
+            minDistance = Math.min(
+                minDistance,
+                distanceToSegment(edge.start, lineSegment),
+                distanceToSegment(edge.end, lineSegment),
+                distanceToSegment(lineSegment.start, edge),
+                distanceToSegment(lineSegment.end, edge)
+            );
         }
+        return minDistance;
+    }
 
-        safeRoute.push(nextWaypoint);
-        return safeRoute;
+    distanceTo(point) {
+        if (this.containsPoint(point)) {
+            return 0;
+        }
+        return Math.min(...this.getEdges().map(edge => distanceToSegment(point, edge)));
     }
 
-    findIntermediateWaypoint(start, end) {
-        const angle = Math.atan2(end.y - start.y, end.x - start.x);
-        const distance = this.safeDistance;
+    // Ray casting; points on the boundary (or within margin of it) count as inside
+    containsPoint(point, margin = 0) {
+        if (point.z !== undefined && !overlapsAltitudeBand(this, [point.z, point.z], margin)) {
+            return false;
+        }
+        if (margin > 0 && this.getEdges().some(edge => distanceToSegment(point, edge) <= margin)) {
+            return true;
+        }
+
+        let inside = false;
+
+        for (const edge of this.getEdges()) {
+            if (distanceToSegment(point, edge) === 0) {
+                return true;
+            }
+
+            const { start, end } = edge;
+            if ((start.y > point.y) !== (end.y > point.y) && point.x < (end.x - start.x) * (point.y - start.y) / (end.y - start.y) + start.x) {
+                inside = !inside;
+            }
+        }
 
-        const intermediateX = start.x + distance * Math.cos(angle);
-        const intermediateY = start.y + distance * Math.sin(angle);
+        return inside;
+    }
 
-        return new Waypoint(intermediateX, intermediateY);
+    // Radius of the smallest circle around the centroid that contains the polygon
+    getBoundingRadius() {
+        return Math.max(...this.vertices.map(vertex => Math.sqrt((vertex.x - this.x) ** 2 + (vertex.y - this.y) ** 2)));
     }
 
-    isSafeRoute(lineSegment) {
-        for (const obstacle of this.obstacles) {
-            if (obstacle.intersectsWithLineSegment(lineSegment)) {
-                return false;
+    // Signed clearance of a segment and its closest point; inside the polygon the depth is found by sampling the segment
+    measureClearance(lineSegment) {
+        const footprint = new LineSegment(new Waypoint(lineSegment.start.x, lineSegment.start.y), new Waypoint(lineSegment.end.x, lineSegment.end.y));
+        const edges = this.getEdges();
+
+        if (this.distanceToLineSegment(footprint) > 0) {
+            const candidates = [lineSegment.start, lineSegment.end, ...this.vertices.map(vertex => closestPointOnSegment(vertex, lineSegment))];
+            const point = candidates.reduce((best, candidate) => (this.distanceTo(candidate) < this.distanceTo(best) ? candidate : best));
+            return { distance: combineClearance(this, lineSegment, this.distanceTo(new Waypoint(point.x, point.y))), point };
+        }
+
+        const samples = Array.from({ length: 65 }, (_, i) => i / 64)
+            .concat(this.vertices.map(vertex => {
+                const point = closestPointOnSegment(vertex, footprint);
+                const length = footprint.start.distanceTo(footprint.end);
+                return length === 0 ? 0 : footprint.start.distanceTo(point) / length;
+            }));
+        let deepest = { depth: 0, ratio: 0 };
+
+        for (const ratio of samples) {
+            const point = new Waypoint(footprint.start.x + (footprint.end.x - footprint.start.x) * ratio, footprint.start.y + (footprint.end.y - footprint.start.y) * ratio);
+            const depth = this.containsPoint(point) ? Math.min(...edges.map(edge => distanceToSegment(point, edge))) : 0;
+            if (depth > deepest.depth) {
+                deepest = { depth, ratio };
             }
         }
-        return true;
+
+        const point = interpolateSegment(lineSegment, deepest.ratio);
+        return { distance: combineClearance(this, lineSegment, -deepest.depth), point };
     }
 
-    getDirection(startWaypoint, endWaypoint) {
-        const angle = Math.atan2(endWaypoint.y - startWaypoint.y, endWaypoint.x - startWaypoint.x);
-        if (angle > 0 && angle < Math.PI / 2) {
-            return "NE";
-        } else if (angle > Math.PI / 2 && angle < Math.PI) {
-            return "SE";
-        } else if (angle > -Math.PI && angle < -Math.PI / 2) {
-            return "SW";
-        } else if (angle > -Math.PI / 2 && angle < 0) {
-            return "NW";
-        } else if (angle === 0) {
-            return "E";
-        } else if (angle === Math.PI / 2) {
-            return "N";
-        } else if (angle === -Math.PI / 2) {
-            return "S";
-        } else if (angle === Math.PI) {
-            return "W";
+    // Each vertex pushed outward along its corner bisector so offset edges run parallel to the originals at distance margin
+    getVisibilityVertices(margin) {
+        const signedArea = this.vertices.reduce((sum, vertex, i) => {
+            const next = this.vertices[(i + 1) % this.vertices.length];
+            return sum + vertex.x * next.y - next.x * vertex.y;
+        }, 0);
+        const orientation = signedArea > 0 ? 1 : -1;
+        const count = this.vertices.length;
+
+        return this.vertices.map((vertex, i) => {
+            const previous = this.vertices[(i - 1 + count) % count];
+            const next = this.vertices[(i + 1) % count];
+            const normal1 = outwardNormal(previous, vertex, orientation);
+            const normal2 = outwardNormal(vertex, next, orientation);
+
+            const bisectorX = normal1.x + normal2.x;
+            const bisectorY = normal1.y + normal2.y;
+            const bisectorLength = Math.sqrt(bisectorX ** 2 + bisectorY ** 2);
+            if (bisectorLength === 0) {
+                return new Waypoint(vertex.x + normal1.x * margin, vertex.y + normal1.y * margin);
+            }
+
+            // |bisector| / 2 is the cosine of half the angle between the two edge normals
+            const offset = margin / (bisectorLength / 2);
+            return new Waypoint(vertex.x + bisectorX / bisectorLength * offset, vertex.y + bisectorY / bisectorLength * offset);
+        });
+    }
+}
+
+function outwardNormal(start, end, orientation) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.sqrt(dx ** 2 + dy ** 2);
+    return { x: orientation * dy / length, y: -orientation * dx / length };
+}
+
+function distanceToSegment(point, lineSegment) {
+    const closest = closestPointOnSegment(point, lineSegment);
+    return Math.sqrt((point.x - closest.x) ** 2 + (point.y - closest.y) ** 2);
+}
+
+// Horizontally closest point of the segment to point, with the segment's altitude at that point
+function closestPointOnSegment(point, lineSegment) {
+    const dx = lineSegment.end.x - lineSegment.start.x;
+    const dy = lineSegment.end.y - lineSegment.start.y;
+    const lengthSquared = dx ** 2 + dy ** 2;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - lineSegment.start.x) * dx + (point.y - lineSegment.start.y) * dy) / lengthSquared));
+
+    return interpolateSegment(lineSegment, t);
+}
+
+function interpolateSegment(lineSegment, ratio) {
+    const { start, end } = lineSegment;
+    const z = start.z === undefined && end.z === undefined ? undefined : (start.z || 0) + ((end.z || 0) - (start.z || 0)) * ratio;
+    return new Waypoint(start.x + (end.x - start.x) * ratio, start.y + (end.y - start.y) * ratio, z);
+}
+
+function segmentsIntersect(segment1, segment2) {
+    const cross = (origin, a, b) => (a.x - origin.x) * (b.y - origin.y) - (a.y - origin.y) * (b.x - origin.x);
+    const d1 = cross(segment2.start, segment2.end, segment1.start);
+    const d2 = cross(segment2.start, segment2.end, segment1.end);
+    const d3 = cross(segment1.start, segment1.end, segment2.start);
+    const d4 = cross(segment1.start, segment1.end, segment2.end);
+
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+class LineSegment {
+    constructor(start, end, altitudeBand) {
+        this.start = start;
+        this.end = end;
+        if (altitudeBand) {
+            this.altitudeBand = altitudeBand;
+        }
+    }
+}
+
+// Uniform grid hash over obstacle footprints. Each obstacle is filed under every cell its bounding box, grown by a
+// margin such as its clearance, touches. Queries return candidates in insertion order; callers run the exact test.
+class SpatialIndex {
+    constructor(cellSize) {
+        if (!(cellSize > 0 && isFinite(cellSize))) {
+            throw new Error(`Spatial index cell size must be a positive number, got ${cellSize}`);
+        }
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.entries = new Map();
+        this.nextOrder = 0;
+    }
+
+    static getBounds(obstacle, margin = 0) {
+        const points = obstacle.vertices || [{ x: obstacle.x - obstacle.radius, y: obstacle.y - obstacle.radius }, { x: obstacle.x + obstacle.radius, y: obstacle.y + obstacle.radius }];
+        return {
+            minX: Math.min(...points.map(point => point.x)) - margin,
+            maxX: Math.max(...points.map(point => point.x)) + margin,
+            minY: Math.min(...points.map(point => point.y)) - margin,
+            maxY: Math.max(...points.map(point => point.y)) + margin,
+        };
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    insert(obstacle, margin = 0) {
+        this.remove(obstacle);
+
+        const bounds = SpatialIndex.getBounds(obstacle, margin);
+        const keys = [];
+        for (let column = this.toCell(bounds.minX); column <= this.toCell(bounds.maxX); column++) {
+            for (let row = this.toCell(bounds.minY); row <= this.toCell(bounds.maxY); row++) {
+                const key = `${column},${row}`;
+                if (!this.cells.has(key)) {
+                    this.cells.set(key, new Set());
+                }
+                this.cells.get(key).add(obstacle);
+                keys.push(key);
+            }
         }
+        this.entries.set(obstacle, { order: this.nextOrder++, keys });
     }
 
-    drawLine(grid, x1, y1, x2, y2) {
-        const dx = x2 - x1;
-        const dy = y2 - y1;
-        const steps = Math.max(Math.abs(dx), Math.abs(dy));
-        for (let i = 0; i <= steps; i++) {
-            const x = x1 + Math.round(dx * i / steps);
-            const y = y1 + Math.round(dy * i / steps);
-            grid[y][x] = "*";
+    remove(obstacle) {
+        const entry = this.entries.get(obstacle);
+        if (!entry) {
+            return false;
+        }
+
+        for (const key of entry.keys) {
+            const cell = this.cells.get(key);
+            cell.delete(obstacle);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
         }
+        this.entries.delete(obstacle);
+        return true;
     }
 
-    drawCircle(grid, x, y, radius) {
-        for (let i = -radius; i <= radius; i++) {
-            for (let j = -radius; j <= radius; j++) {
-                if (i ** 2 + j ** 2 <= radius ** 2) {
-                    const newX = x + i;
-                    const newY = y + j;
-                    if (newX >= 0 && newX < grid[0].length && newY >= 0 && newY < grid.length) {
-                        grid[newY][newX] = "O";
+    // Obstacles filed under any cell for which includeCell(column, row) holds, visiting only occupied cells
+    // when that is cheaper than walking the requested cell range
+    collect(cellCount, cellRanges, includeCell) {
+        const found = new Set();
+        if (cellCount > this.cells.size) {
+            for (const [key, cell] of this.cells) {
+                const [column, row] = key.split(",").map(Number);
+                if (includeCell(column, row)) {
+                    cell.forEach(obstacle => found.add(obstacle));
+                }
+            }
+        } else {
+            for (const { column, minRow, maxRow } of cellRanges()) {
+                for (let row = minRow; row <= maxRow; row++) {
+                    const cell = this.cells.get(`${column},${row}`);
+                    if (cell) {
+                        cell.forEach(obstacle => found.add(obstacle));
                     }
                 }
             }
         }
+        return [...found].sort((a, b) => this.entries.get(a).order - this.entries.get(b).order);
     }
 
-    visualizeRouteAsAsciiArt(route) {
-        const minX = Math.min(...route.map(waypoint => waypoint.x));
-        const maxX = Math.max(...route.map(waypoint => waypoint.x));
-        const minY = Math.min(...route.map(waypoint => waypoint.y));
-        const maxY = Math.max(...route.map(waypoint => waypoint.y));
-        const gridSize = 20;
-        const grid = Array(gridSize).fill(0).map(() => Array(gridSize).fill(" "));
+    queryBox(minX, minY, maxX, maxY) {
+        const minColumn = this.toCell(minX);
+        const maxColumn = this.toCell(maxX);
+        const minRow = this.toCell(minY);
+        const maxRow = this.toCell(maxY);
+        const cellRanges = function* () {
+            for (let column = minColumn; column <= maxColumn; column++) {
+                yield { column, minRow, maxRow };
+            }
+        };
 
-        for (let i = 0; i < route.length - 1; i++) {
-            const currentWaypoint = route[i];
-            const nextWaypoint = route[i + 1];
-            const x1 = Math.floor((currentWaypoint.x - minX) / (maxX - minX) * (gridSize - 1));
-            const y1 = Math.floor((currentWaypoint.y - minY) / (maxY - minY) * (gridSize - 1));
-            const x2 = Math.floor((nextWaypoint.x - minX) / (maxX - minX) * (gridSize - 1));
-            const y2 = Math.floor((nextWaypoint.y - minY) / (maxY - minY) * (gridSize - 1));
-            this.drawLine(grid, x1, y1, x2, y2);
+        return this.collect((maxColumn - minColumn + 1) * (maxRow - minRow + 1), cellRanges, (column, row) => column >= minColumn && column <= maxColumn && row >= minRow && row <= maxRow);
+    }
+
+    // Candidates for point-in-obstacle tests, optionally within margin of the point
+    queryPoint(point, margin = 0) {
+        return this.queryBox(point.x - margin, point.y - margin, point.x + margin, point.y + margin);
+    }
+
+    // Candidates for segment-vs-obstacle tests: the cells swept by the segment's footprint widened by margin
+    querySegment(lineSegment, margin = 0) {
+        const { start, end } = lineSegment;
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const minColumn = this.toCell(Math.min(start.x, end.x) - margin);
+        const maxColumn = this.toCell(Math.max(start.x, end.x) + margin);
+        const minRow = this.toCell(Math.min(start.y, end.y) - margin);
+        const maxRow = this.toCell(Math.max(start.y, end.y) + margin);
+
+        // Rows the segment crosses within the column's x-range, both widened by margin
+        const getRows = column => {
+            let from = 0;
+            let to = 1;
+            if (dx !== 0) {
+                const t1 = (column * this.cellSize - margin - start.x) / dx;
+                const t2 = ((column + 1) * this.cellSize + margin - start.x) / dx;
+                from = Math.max(0, Math.min(t1, t2));
+                to = Math.min(1, Math.max(t1, t2));
+            }
+            const y1 = start.y + dy * from;
+            const y2 = start.y + dy * to;
+            return { minRow: Math.max(minRow, this.toCell(Math.min(y1, y2) - margin)), maxRow: Math.min(maxRow, this.toCell(Math.max(y1, y2) + margin)) };
+        };
+        const cellRanges = function* () {
+            for (let column = minColumn; column <= maxColumn; column++) {
+                yield { column, ...getRows(column) };
+            }
+        };
+
+        return this.collect((maxColumn - minColumn + 1) * (maxRow - minRow + 1), cellRanges, (column, row) => {
+            if (column < minColumn || column > maxColumn) {
+                return false;
+            }
+            const rows = getRows(column);
+            return row >= rows.minRow && row <= rows.maxRow;
+        });
+    }
+}
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+class GeoWaypoint {
+    constructor(latitude, longitude, altitude) {
+        this.latitude = latitude;
+        this.longitude = longitude;
+        if (altitude !== undefined) {
+            this.altitude = altitude;
         }
+    }
+
+    // Haversine great-circle distance in metres, including any altitude difference
+    distanceTo(otherWaypoint) {
+        const dLatitude = toRadians(otherWaypoint.latitude - this.latitude);
+        const dLongitude = toRadians(otherWaypoint.longitude - this.longitude);
+        const a = Math.sin(dLatitude / 2) ** 2 + Math.cos(toRadians(this.latitude)) * Math.cos(toRadians(otherWaypoint.latitude)) * Math.sin(dLongitude / 2) ** 2;
+        const surfaceDistance = 2 * EARTH_MEAN_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+        return Math.sqrt(surfaceDistance ** 2 + ((this.altitude || 0) - (otherWaypoint.altitude || 0)) ** 2);
+    }
 
-        for (const obstacle of this.obstacles) {
-            const x = Math.floor((obstacle.x - minX) / (maxX - minX) * (gridSize - 1));
-            const y = Math.floor((obstacle.y - minY) / (maxY - minY) * (gridSize - 1));
-            this.drawCircle(grid, x, y, Math.floor(obstacle.radius / (maxX - minX) * (gridSize - 1)));
+    // Vincenty's inverse formula on the WGS84 ellipsoid, falling back to haversine if it does not converge
+    vincentyDistanceTo(otherWaypoint) {
+        const b = WGS84_SEMI_MAJOR_AXIS * (1 - WGS84_FLATTENING);
+        const L = toRadians(otherWaypoint.longitude - this.longitude);
+        const U1 = Math.atan((1 - WGS84_FLATTENING) * Math.tan(toRadians(this.latitude)));
+        const U2 = Math.atan((1 - WGS84_FLATTENING) * Math.tan(toRadians(otherWaypoint.latitude)));
+        const sinU1 = Math.sin(U1);
+        const cosU1 = Math.cos(U1);
+        const sinU2 = Math.sin(U2);
+        const cosU2 = Math.cos(U2);
+        const altitudeDifference = (this.altitude || 0) - (otherWaypoint.altitude || 0);
+
+        let lambda = L;
+        for (let iteration = 0; iteration < 200; iteration++) {
+            const sinLambda = Math.sin(lambda);
+            const cosLambda = Math.cos(lambda);
+            const sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+            if (sinSigma === 0) {
+                return Math.abs(altitudeDifference);
+            }
+
+            const cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            const sigma = Math.atan2(sinSigma, cosSigma);
+            const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            const cosSquaredAlpha = 1 - sinAlpha ** 2;
+            const cos2SigmaM = cosSquaredAlpha === 0 ? 0 : cosSigma - 2 * sinU1 * sinU2 / cosSquaredAlpha;
+            const C = WGS84_FLATTENING / 16 * cosSquaredAlpha * (4 + WGS84_FLATTENING * (4 - 3 * cosSquaredAlpha));
+            const previousLambda = lambda;
+            lambda = L + (1 - C) * WGS84_FLATTENING * sinAlpha * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+
+            if (Math.abs(lambda - previousLambda) < 1e-12) {
+                const uSquared = cosSquaredAlpha * (WGS84_SEMI_MAJOR_AXIS ** 2 - b ** 2) / b ** 2;
+                const A = 1 + uSquared / 16384 * (4096 + uSquared * (-768 + uSquared * (320 - 175 * uSquared)));
+                const B = uSquared / 1024 * (256 + uSquared * (-128 + uSquared * (74 - 47 * uSquared)));
+                const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM ** 2) - B / 6 * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)));
+                const surfaceDistance = b * A * (sigma - deltaSigma);
+
+                return Math.sqrt(surfaceDistance ** 2 + altitudeDifference ** 2);
+            }
         }
 
-        console.log("Route Visualization:");
-        for (const row of grid) {
-            console.log(row.join(" | "));
+        return this.distanceTo(otherWaypoint);
+    }
+}
+
+// Circular no-fly zone given by its centre in degrees and radius in metres
+class GeoObstacle {
+    constructor(latitude, longitude, radius, options = {}) {
+        this.latitude = latitude;
+        this.longitude = longitude;
+        this.radius = radius;
+        this.options = options;
+    }
+}
+
+class GeoPolygonObstacle {
+    constructor(vertices, options = {}) {
+        this.vertices = vertices.map(vertex => new GeoWaypoint(vertex.latitude, vertex.longitude));
+        this.options = options;
+    }
+}
+
+// Local East-North-Up frame tangent to the WGS84 ellipsoid at origin. Planning coordinates are metres east (x)
+// and north (y); z stays the altitude above the ellipsoid so obstacle altitude limits keep their meaning.
+class LocalProjection {
+    constructor(origin) {
+        this.origin = origin;
+        this.originEcef = LocalProjection.toEcef(origin.latitude, origin.longitude, origin.altitude || 0);
+
+        const latitude = toRadians(origin.latitude);
+        const longitude = toRadians(origin.longitude);
+        this.sinLatitude = Math.sin(latitude);
+        this.cosLatitude = Math.cos(latitude);
+        this.sinLongitude = Math.sin(longitude);
+        this.cosLongitude = Math.cos(longitude);
+    }
+
+    static toEcef(latitude, longitude, altitude) {
+        const phi = toRadians(latitude);
+        const lambda = toRadians(longitude);
+        const N = WGS84_SEMI_MAJOR_AXIS / Math.sqrt(1 - WGS84_ECCENTRICITY_SQUARED * Math.sin(phi) ** 2);
+
+        return {
+            x: (N + altitude) * Math.cos(phi) * Math.cos(lambda),
+            y: (N + altitude) * Math.cos(phi) * Math.sin(lambda),
+            z: (N * (1 - WGS84_ECCENTRICITY_SQUARED) + altitude) * Math.sin(phi),
+        };
+    }
+
+    // Iterative inverse, accurate to well below a millimetre near the surface
+    static fromEcef(ecef) {
+        const p = Math.sqrt(ecef.x ** 2 + ecef.y ** 2);
+        const longitude = Math.atan2(ecef.y, ecef.x);
+        let latitude = Math.atan2(ecef.z, p * (1 - WGS84_ECCENTRICITY_SQUARED));
+        let altitude = 0;
+
+        for (let iteration = 0; iteration < 5; iteration++) {
+            const N = WGS84_SEMI_MAJOR_AXIS / Math.sqrt(1 - WGS84_ECCENTRICITY_SQUARED * Math.sin(latitude) ** 2);
+            altitude = p / Math.cos(latitude) - N;
+            latitude = Math.atan2(ecef.z, p * (1 - WGS84_ECCENTRICITY_SQUARED * N / (N + altitude)));
         }
+
+        return { latitude: toDegrees(latitude), longitude: toDegrees(longitude), altitude };
     }
 
-    visualizeRoute(route) {
-        console.log("Optimized Route:");
-        let totalDistance = 0;
-        for (let i = 0; i < route.length - 1; i++) {
-            const currentWaypoint = route[i];
-            const nextWaypoint = route[i + 1];
-            const distance = currentWaypoint.distanceTo(nextWaypoint);
-            totalDistance += distance;
-            console.log(`Waypoint ${i + 1} -> Waypoint ${i + 2}: (${currentWaypoint.x}, ${currentWaypoint.y}) -> (${nextWaypoint.x}, ${nextWaypoint.y}) | Distance: ${distance.toFixed(2)} | Direction: ${this.getDirection(currentWaypoint, nextWaypoint)}`);
+    enuToEcef(east, north, up) {
+        return {
+            x: this.originEcef.x - this.sinLongitude * east - this.sinLatitude * this.cosLongitude * north + this.cosLatitude * this.cosLongitude * up,
+            y: this.originEcef.y + this.cosLongitude * east - this.sinLatitude * this.sinLongitude * north + this.cosLatitude * this.sinLongitude * up,
+            z: this.originEcef.z + this.cosLatitude * north + this.sinLatitude * up,
+        };
+    }
+
+    toLocal(geoWaypoint) {
+        const ecef = LocalProjection.toEcef(geoWaypoint.latitude, geoWaypoint.longitude, geoWaypoint.altitude || 0);
+        const dx = ecef.x - this.originEcef.x;
+        const dy = ecef.y - this.originEcef.y;
+        const dz = ecef.z - this.originEcef.z;
+
+        const east = -this.sinLongitude * dx + this.cosLongitude * dy;
+        const north = -this.sinLatitude * this.cosLongitude * dx - this.sinLatitude * this.sinLongitude * dy + this.cosLatitude * dz;
+
+        return new Waypoint(east, north, geoWaypoint.altitude);
+    }
+
+    // Find the point at the waypoint's altitude whose ENU east/north match the waypoint
+    toGeodetic(waypoint) {
+        const altitude = waypoint.z || 0;
+        let up = 0;
+        let geodetic;
+
+        for (let iteration = 0; iteration < 5; iteration++) {
+            geodetic = LocalProjection.fromEcef(this.enuToEcef(waypoint.x, waypoint.y, up));
+            up -= geodetic.altitude - altitude;
         }
-        console.log(`Total Distance: ${totalDistance.toFixed(2)}`);
-        console.log(`Number of Waypoints: ${route.length}`);
-        console.log(`Number of Obstacles Avoided: ${this.obstacles.length}`);
 
-        // Simple ASCII art visualization
-        this.visualizeRouteAsAsciiArt(route);
+        return new GeoWaypoint(geodetic.latitude, geodetic.longitude, waypoint.z);
     }
 
-    printAsciiArt(route) {
-        const gridSize = 20;
-        const grid = Array(gridSize).fill(0).map(() => Array(gridSize).fill(" "));
+    toLocalObstacle(geoObstacle) {
+        if (geoObstacle instanceof GeoPolygonObstacle) {
+            return new PolygonObstacle(geoObstacle.vertices.map(vertex => this.toLocal(vertex)), geoObstacle.options);
+        }
 
-        for (let i = 0; i < route.length - 1; i++) {
-            const currentWaypoint = route[i];
-            const nextWaypoint = route[i + 1];
+        const centre = this.toLocal(new GeoWaypoint(geoObstacle.latitude, geoObstacle.longitude));
+        return new Obstacle(centre.x, centre.y, geoObstacle.radius, geoObstacle.options);
+    }
+}
+
+// Wind velocity (x, y per second) either constant everywhere or bilinearly interpolated from a regular grid.
+// maxSpeed bounds the wind speed anywhere in the field, so planners can bound the fastest possible ground speed.
+class WindField {
+    constructor(sampler, cellSize, maxSpeed = Infinity) {
+        this.sampler = sampler;
+        this.cellSize = cellSize;
+        this.maxSpeed = maxSpeed;
+    }
 
-            const x1 = Math.floor(currentWaypoint.x);
-            const y1 = Math.floor(currentWaypoint.y);
-            const x2 = Math.floor(nextWaypoint.x);
-            const y2 = Math.floor(nextWaypoint.y);
+    static constant(x, y) {
+        return new WindField(() => ({ x, y }), Infinity, Math.sqrt(x ** 2 + y ** 2));
+    }
 
-            const dx = x2 - x1;
-            const dy = y2 - y1;
+    // grid: { origin: { x, y }, cellSize, vectors } where vectors[row][column] = [x, y] and row 0 lies at origin.y
+    static fromGrid(grid) {
+        const { origin, cellSize, vectors } = grid;
+        if (!origin || !(cellSize > 0) || !Array.isArray(vectors) || vectors.length === 0 || !Array.isArray(vectors[0]) || vectors[0].length === 0) {
+            throw new Error("Wind grid needs an origin, a positive cellSize and a non-empty vectors[row][column] array");
+        }
 
-            for (let j = 0; j <= Math.max(Math.abs(dx), Math.abs(dy)); j++) {
-                const x = x1 + Math.floor(j * dx / Math.max(Math.abs(dx), Math.abs(dy)));
-                const y = y1 + Math.floor(j * dy / Math.max(Math.abs(dx), Math.abs(dy)));
+        const rows = vectors.length;
+        const columns = vectors[0].length;
+        const clamp = (value, max) => Math.max(0, Math.min(max, value));
 
-                if (x >= 0 && x < gridSize && y >= 0 && y < gridSize) {
-                    grid[y][x] = "*";
-                }
-            }
+        return new WindField(point => {
+            const column = clamp((point.x - origin.x) / cellSize, columns - 1);
+            const row = clamp((point.y - origin.y) / cellSize, rows - 1);
+            const column0 = Math.floor(column);
+            const row0 = Math.floor(row);
+            const column1 = Math.min(columns - 1, column0 + 1);
+            const row1 = Math.min(rows - 1, row0 + 1);
+            const tx = column - column0;
+            const ty = row - row0;
+
+            const interpolate = axis => (1 - ty) * ((1 - tx) * vectors[row0][column0][axis] + tx * vectors[row0][column1][axis])
+                + ty * ((1 - tx) * vectors[row1][column0][axis] + tx * vectors[row1][column1][axis]);
+            return { x: interpolate(0), y: interpolate(1) };
+        }, cellSize, Math.max(...vectors.flat().map(([x, y]) => Math.sqrt(x ** 2 + y ** 2))));
+    }
+
+    static fromFile(path) {
+        return WindField.fromGrid(JSON.parse(fs.readFileSync(path, "utf8")));
+    }
+
+    getWindAt(point) {
+        return this.sampler(point);
+    }
+
+    // The drone holds its airspeed and crabs into the crosswind; 0 means it cannot make progress along the track
+    getGroundSpeed(point, direction, airspeed) {
+        const wind = this.getWindAt(point);
+        const alongTrack = wind.x * direction.x + wind.y * direction.y;
+        const crossTrack = wind.x * direction.y - wind.y * direction.x;
+
+        if (crossTrack ** 2 >= airspeed ** 2) {
+            return 0;
         }
+        return Math.max(0, alongTrack + Math.sqrt(airspeed ** 2 - crossTrack ** 2));
+    }
 
-        for (const obstacle of this.obstacles) {
-            const x = Math.floor(obstacle.x);
-            const y = Math.floor(obstacle.y);
-            const radius = Math.floor(obstacle.radius);
+    // Horizontal flight time, sampling the wind every half grid cell along the leg
+    getTravelTime(start, end, airspeed) {
+        const length = Math.sqrt((end.x - start.x) ** 2 + (end.y - start.y) ** 2);
+        if (length === 0) {
+            return 0;
+        }
 
-            for (let i = -radius; i <= radius; i++) {
-                for (let j = -radius; j <= radius; j++) {
-                    const newX = x + i;
-                    const newY = y + j;
+        const direction = { x: (end.x - start.x) / length, y: (end.y - start.y) / length };
+        const steps = isFinite(this.cellSize) ? Math.max(1, Math.ceil(length / (this.cellSize / 2))) : 1;
+        let time = 0;
 
-                    if (newX >= 0 && newX < gridSize && newY >= 0 && newY < gridSize && Math.sqrt(i ** 2 + j ** 2) <= radius) {
-                        grid[newY][newX] = "O";
-                    }
-                }
+        for (let i = 0; i < steps; i++) {
+            const t = (i + 0.5) / steps;
+            const point = { x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t };
+            const groundSpeed = this.getGroundSpeed(point, direction, airspeed);
+            if (groundSpeed <= 0) {
+                return Infinity;
             }
+            time += length / steps / groundSpeed;
         }
 
-        console.log("ASCII Art:");
-        for (const row of grid) {
-            console.log(row.join(" "));
+        return time;
+    }
+}
+
+// Position of a moving obstacle over time: constant velocity, a piecewise-linear track of { t, x, y } knots
+// (held still before the first and after the last knot), or such a track repeated every period
+class Trajectory {
+    constructor(type, knots, options = {}) {
+        this.type = type;
+        this.knots = knots;
+        this.velocity = options.velocity;
+        this.period = options.period;
+    }
+
+    static linear(position, velocity, startTime = 0) {
+        return new Trajectory("linear", [{ t: startTime, x: position.x, y: position.y }], { velocity });
+    }
+
+    static piecewise(knots) {
+        if (knots.length === 0 || knots.some((knot, i) => i > 0 && knot.t <= knots[i - 1].t)) {
+            throw new Error("A piecewise trajectory needs at least one knot with strictly increasing times");
         }
+        return new Trajectory("piecewise", knots);
     }
 
-    printTopDownView(route) {
-        const gridSize = 20;
-        const grid = Array(gridSize).fill(0).map(() => Array(gridSize).fill(" "));
+    // The track loops back from its last knot to its first, so period must exceed the track duration
+    static periodic(knots, period) {
+        Trajectory.piecewise(knots);
+        if (!(period > knots[knots.length - 1].t - knots[0].t)) {
+            throw new Error(`A periodic trajectory's period must exceed its track duration, got ${period}`);
+        }
+        return new Trajectory("periodic", [...knots, { t: knots[0].t + period, x: knots[0].x, y: knots[0].y }], { period });
+    }
 
-        for (const waypoint of route) {
-            const x = Math.floor(waypoint.x);
-            const y = Math.floor(waypoint.y);
+    positionAt(time) {
+        const first = this.knots[0];
+        if (this.type === "linear") {
+            return { x: first.x + this.velocity.x * (time - first.t), y: first.y + this.velocity.y * (time - first.t) };
+        }
 
-            if (x >= 0 && x < gridSize && y >= 0 && y < gridSize) {
-                grid[y][x] = "W";
-            }
+        const t = this.type === "periodic" ? first.t + ((((time - first.t) % this.period) + this.period) % this.period) : time;
+        const last = this.knots[this.knots.length - 1];
+        if (t <= first.t) {
+            return { x: first.x, y: first.y };
+        }
+        if (t >= last.t) {
+            return { x: last.x, y: last.y };
         }
 
-        for (const obstacle of this.obstacles) {
-            const x = Math.floor(obstacle.x);
-            const y = Math.floor(obstacle.y);
-            const radius = Math.floor(obstacle.radius);
+        const index = this.knots.findIndex(knot => knot.t > t);
+        const from = this.knots[index - 1];
+        const to = this.knots[index];
+        const ratio = (t - from.t) / (to.t - from.t);
+        return { x: from.x + (to.x - from.x) * ratio, y: from.y + (to.y - from.y) * ratio };
+    }
+
+    // Split [startTime, endTime] at every knot so the obstacle moves linearly within each piece
+    getLinearPieces(startTime, endTime) {
+        const breakpoints = [startTime];
 
-            for (let i = -radius; i <= radius; i++) {
-                for (let j = -radius; j <= radius; j++) {
-                    const newX = x + i;
-                    const newY = y + j;
+        if (this.type !== "linear") {
+            const first = this.knots[0].t;
+            const cycles = this.type === "periodic" ? [Math.floor((startTime - first) / this.period), Math.ceil((endTime - first) / this.period)] : [0, 0];
 
-                    if (newX >= 0 && newX < gridSize && newY >= 0 && newY < gridSize && Math.sqrt(i ** 2 + j ** 2) <= radius) {
-                        grid[newY][newX] = "O";
+            for (let cycle = cycles[0]; cycle <= cycles[1]; cycle++) {
+                for (const knot of this.knots) {
+                    const t = knot.t + (this.type === "periodic" ? cycle * this.period : 0);
+                    if (t > startTime && t < endTime) {
+                        breakpoints.push(t);
                     }
                 }
             }
         }
 
-        console.log("Top-Down View:");
-        for (const row of grid) {
-            console.log(row.join(" "));
+        breakpoints.push(endTime);
+        const times = [...new Set(breakpoints)].sort((a, b) => a - b);
+        if (times.length === 1) {
+            return [{ start: startTime, end: endTime, startPosition: this.positionAt(startTime), velocity: { x: 0, y: 0 } }];
+        }
+
+        const pieces = [];
+        for (let i = 0; i < times.length - 1; i++) {
+            const start = times[i];
+            const end = times[i + 1];
+            const startPosition = this.positionAt(start);
+            const endPosition = this.positionAt(end);
+            const duration = end - start;
+
+            pieces.push({
+                start,
+                end,
+                startPosition,
+                velocity: duration > 0 ? { x: (endPosition.x - startPosition.x) / duration, y: (endPosition.y - startPosition.y) / duration } : { x: 0, y: 0 },
+            });
         }
+        return pieces;
     }
 }
 
-const waypoints = [
-    new Waypoint(0, 0),
-    new Waypoint(10, 0),
-    new Waypoint(5, 5),
-    new Waypoint(0, 10),
-];
+class MovingObstacle {
+    constructor(radius, trajectory) {
+        this.radius = radius;
+        this.trajectory = trajectory;
+    }
 
-const obstacles = [
-    new Obstacle(3, 3, 2),
-    new Obstacle(7, 2, 1),
-];
+    positionAt(time) {
+        return this.trajectory.positionAt(time);
+    }
 
-const routeOptimizer = new RouteOptimizer(waypoints, obstacles);
-const optimizedRoute = routeOptimizer.optimizeRoute();
-routeOptimizer.visualizeRoute(optimizedRoute);
+    // Closest approach to a drone flying straight from start (at startTime) to end (at endTime) at constant speed
+    getClosestApproach(start, end, startTime, endTime) {
+        const duration = endTime - startTime;
+        const droneVelocity = duration > 0 ? { x: (end.x - start.x) / duration, y: (end.y - start.y) / duration } : { x: 0, y: 0 };
+        let closest = { distance: Infinity, time: startTime };
 
-/*
-    Output :
+        for (const piece of this.trajectory.getLinearPieces(startTime, endTime)) {
+            const elapsed = piece.start - startTime;
+            const relativeX = start.x + droneVelocity.x * elapsed - piece.startPosition.x;
+            const relativeY = start.y + droneVelocity.y * elapsed - piece.startPosition.y;
+            const relativeVelocityX = droneVelocity.x - piece.velocity.x;
+            const relativeVelocityY = droneVelocity.y - piece.velocity.y;
+            const speedSquared = relativeVelocityX ** 2 + relativeVelocityY ** 2;
 
-    Optimized Route:
-Waypoint 1 -> Waypoint 2: (0, 0) -> (5, 5) | Distance: 7.07 | Direction: NE
-Waypoint 2 -> Waypoint 3: (5, 5) -> (10, 0) | Distance: 7.07 | Direction: NW
-Waypoint 3 -> Waypoint 4: (10, 0) -> (0, 10) | Distance: 14.14 | Direction: SE
-Waypoint 4 -> Waypoint 5: (0, 10) -> (0, 0) | Distance: 10.00 | Direction: S
-Total Distance: 38.28
-Number of Waypoints: 5
-Number of Obstacles Avoided: 2
-Route Visualization:
-* |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   | *
-* | * |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   | * |  
-* |   | * |   |   | O |   |   |   |   |   |   |   | O |   |   |   | * |   |  
-* |   |   | O | O | O | O | O |   |   |   |   | O | O | O |   | * |   |   |  
-* |   |   | O | O | O | O | O |   |   |   |   |   | O |   | * |   |   |   |  
-* |   | O | O | O | O | O | O | O |   |   |   |   | * | * |   |   |   |   |  
-* |   |   | O | O | O | O | O |   |   |   |   | * | * |   |   |   |   |   |  
-* |   |   | O | O | O | O | O |   |   |   | * | * |   |   |   |   |   |   |  
-* |   |   |   |   | O |   |   | * |   | * | * |   |   |   |   |   |   |   |  
-* |   |   |   |   |   |   |   |   | * | * |   |   |   |   |   |   |   |   |  
-* |   |   |   |   |   |   |   |   | * |   |   |   |   |   |   |   |   |   |  
-* |   |   |   |   |   |   |   | * |   |   |   |   |   |   |   |   |   |   |  
-* |   |   |   |   |   |   | * |   |   |   |   |   |   |   |   |   |   |   |  
-* |   |   |   |   |   | * |   |   |   |   |   |   |   |   |   |   |   |   |  
-* |   |   |   |   | * |   |   |   |   |   |   |   |   |   |   |   |   |   |  
-* |   |   |   | * |   |   |   |   |   |   |   |   |   |   |   |   |   |   |  
-* |   |   | * |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |  
-* |   | * |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |  
-* | * |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |  
-* |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   |   | 
+            const tau = speedSquared === 0 ? 0 : Math.max(0, Math.min(piece.end - piece.start, -(relativeX * relativeVelocityX + relativeY * relativeVelocityY) / speedSquared));
+            const distance = Math.sqrt((relativeX + relativeVelocityX * tau) ** 2 + (relativeY + relativeVelocityY * tau) ** 2);
+
+            if (distance < closest.distance) {
+                closest = { distance, time: piece.start + tau };
+            }
+        }
+        return closest;
+    }
+
+    conflictsWith(start, end, startTime, endTime, margin = 0) {
+        return this.getClosestApproach(start, end, startTime, endTime).distance <= this.radius + margin;
+    }
+}
+
+const normalizeAngle = angle => ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+// Shortest curvature-bounded path between two poses {x, y, heading} as three pieces:
+// L/R are arcs of the turn radius (counter-clockwise / clockwise), S is a straight line.
+// lengths are the piece lengths in planning units.
+class DubinsPath {
+    constructor(start, word, lengths, radius) {
+        this.start = start;
+        this.word = word;
+        this.lengths = lengths;
+        this.radius = radius;
+        this.length = lengths.reduce((total, length) => total + length, 0);
+    }
 
+    // Every feasible Dubins word from start to end, shortest first
+    static candidates(start, end, radius) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const d = Math.sqrt(dx ** 2 + dy ** 2) / radius;
+        const theta = normalizeAngle(Math.atan2(dy, dx));
+        const a = normalizeAngle(start.heading - theta);
+        const b = normalizeAngle(end.heading - theta);
+        const [sinA, sinB, cosA, cosB, cosAB] = [Math.sin(a), Math.sin(b), Math.cos(a), Math.cos(b), Math.cos(a - b)];
 
+        // Normalised piece lengths for each word (Shkel & Lumelsky), or null when the word cannot connect the poses
+        const solvers = {
+            LSL: () => {
+                const pSquared = 2 + d ** 2 - 2 * cosAB + 2 * d * (sinA - sinB);
+                if (pSquared < 0) {
+                    return null;
+                }
+                const tmp = Math.atan2(cosB - cosA, d + sinA - sinB);
+                return [normalizeAngle(tmp - a), Math.sqrt(pSquared), normalizeAngle(b - tmp)];
+            },
+            RSR: () => {
+                const pSquared = 2 + d ** 2 - 2 * cosAB + 2 * d * (sinB - sinA);
+                if (pSquared < 0) {
+                    return null;
+                }
+                const tmp = Math.atan2(cosA - cosB, d - sinA + sinB);
+                return [normalizeAngle(a - tmp), Math.sqrt(pSquared), normalizeAngle(tmp - b)];
+            },
+            LSR: () => {
+                const pSquared = -2 + d ** 2 + 2 * cosAB + 2 * d * (sinA + sinB);
+                if (pSquared < 0) {
+                    return null;
+                }
+                const p = Math.sqrt(pSquared);
+                const tmp = Math.atan2(-cosA - cosB, d + sinA + sinB) - Math.atan2(-2, p);
+                return [normalizeAngle(tmp - a), p, normalizeAngle(tmp - b)];
+            },
+            RSL: () => {
+                const pSquared = -2 + d ** 2 + 2 * cosAB - 2 * d * (sinA + sinB);
+                if (pSquared < 0) {
+                    return null;
+                }
+                const p = Math.sqrt(pSquared);
+                const tmp = Math.atan2(cosA + cosB, d - sinA - sinB) - Math.atan2(2, p);
+                return [normalizeAngle(a - tmp), p, normalizeAngle(b - tmp)];
+            },
+            RLR: () => {
+                const tmp = (6 - d ** 2 + 2 * cosAB + 2 * d * (sinA - sinB)) / 8;
+                if (Math.abs(tmp) > 1) {
+                    return null;
+                }
+                const p = normalizeAngle(2 * Math.PI - Math.acos(tmp));
+                const t = normalizeAngle(a - Math.atan2(cosA - cosB, d - sinA + sinB) + p / 2);
+                return [t, p, normalizeAngle(a - b - t + p)];
+            },
+            LRL: () => {
+                const tmp = (6 - d ** 2 + 2 * cosAB + 2 * d * (sinB - sinA)) / 8;
+                if (Math.abs(tmp) > 1) {
+                    return null;
+                }
+                const p = normalizeAngle(2 * Math.PI - Math.acos(tmp));
+                const t = normalizeAngle(-a - Math.atan2(cosA - cosB, d + sinA - sinB) + p / 2);
+                return [t, p, normalizeAngle(b - a - t + p)];
+            },
+        };
+
+        return DUBINS_WORDS
+            .map(word => {
+                const lengths = solvers[word]();
+                return lengths && new DubinsPath(start, word, lengths.map(length => length * radius), radius);
+            })
+            .filter(path => path)
+            .sort((path1, path2) => path1.length - path2.length);
+    }
+
+    static shortest(start, end, radius) {
+        return DubinsPath.candidates(start, end, radius)[0] || null;
+    }
+
+    // Pose after flying distance along a single piece from pose
+    static advance(pose, piece, distance, radius) {
+        if (piece === "S") {
+            return { x: pose.x + distance * Math.cos(pose.heading), y: pose.y + distance * Math.sin(pose.heading), heading: pose.heading };
+        }
+
+        const turn = (piece === "L" ? 1 : -1) * distance / radius;
+        const side = piece === "L" ? 1 : -1;
+        return {
+            x: pose.x + side * radius * (Math.sin(pose.heading + turn) - Math.sin(pose.heading)),
+            y: pose.y - side * radius * (Math.cos(pose.heading + turn) - Math.cos(pose.heading)),
+            heading: normalizeAngle(pose.heading + turn),
+        };
+    }
+
+    // Pose after flying distance (clamped to [0, length]) along the whole path
+    sample(distance) {
+        let remaining = Math.max(0, Math.min(this.length, distance));
+        let pose = this.start;
+
+        for (let i = 0; i < 3; i++) {
+            const travelled = Math.min(remaining, this.lengths[i]);
+            pose = DubinsPath.advance(pose, this.word[i], travelled, this.radius);
+            remaining -= travelled;
+        }
+        return pose;
+    }
+
+    get end() {
+        return this.sample(this.length);
+    }
+
+    // Analytic description: arcs with centre, radius, start angle and signed sweep; lines with their end points
+    getPieces() {
+        const pieces = [];
+        let pose = this.start;
+
+        for (let i = 0; i < 3; i++) {
+            const next = DubinsPath.advance(pose, this.word[i], this.lengths[i], this.radius);
+
+            if (this.word[i] === "S") {
+                pieces.push({ type: "line", start: { x: pose.x, y: pose.y }, end: { x: next.x, y: next.y }, length: this.lengths[i] });
+            } else {
+                const side = this.word[i] === "L" ? 1 : -1;
+                const centre = { x: pose.x - side * this.radius * Math.sin(pose.heading), y: pose.y + side * this.radius * Math.cos(pose.heading) };
+                pieces.push({
+                    type: "arc",
+                    direction: this.word[i] === "L" ? "left" : "right",
+                    centre,
+                    radius: this.radius,
+                    startAngle: Math.atan2(pose.y - centre.y, pose.x - centre.x),
+                    sweep: side * this.lengths[i] / this.radius,
+                    length: this.lengths[i],
+                });
+            }
+            pose = next;
+        }
+        return pieces;
+    }
+
+    // Poses every spacing units along the path, always including both ends
+    toPolyline(spacing) {
+        const count = Math.max(1, Math.ceil(this.length / spacing));
+        return Array.from({ length: count + 1 }, (_, i) => this.sample(this.length * i / count));
+    }
+}
+
+// Constant-jerk pieces {duration, acceleration, jerk} taking the speed from fromSpeed to toSpeed,
+// with zero acceleration at both ends (an S-curve; a plain trapezoid when maxJerk is Infinity)
+function getSpeedChangePieces(fromSpeed, toSpeed, maxAcceleration, maxJerk) {
+    const change = Math.abs(toSpeed - fromSpeed);
+    if (change === 0) {
+        return [];
+    }
+
+    const sign = Math.sign(toSpeed - fromSpeed);
+    const peakAcceleration = Math.min(maxAcceleration, Math.sqrt(change * maxJerk));
+    const rampTime = peakAcceleration / maxJerk;
+    const holdTime = change / peakAcceleration - rampTime;
+
+    return [
+        { duration: rampTime, acceleration: 0, jerk: sign * maxJerk },
+        { duration: holdTime, acceleration: sign * peakAcceleration, jerk: 0 },
+        { duration: rampTime, acceleration: sign * peakAcceleration, jerk: -sign * maxJerk },
+    ].filter(piece => piece.duration > 0);
+}
+
+// The S-curve is symmetric, so it covers the distance flown at the mean speed
+function getSpeedChangeDistance(fromSpeed, toSpeed, maxAcceleration, maxJerk) {
+    const duration = getSpeedChangePieces(fromSpeed, toSpeed, maxAcceleration, maxJerk).reduce((total, piece) => total + piece.duration, 0);
+    return (fromSpeed + toSpeed) / 2 * duration;
+}
+
+// Largest value in [low, high] that still satisfies fits, assuming fits(low) holds and fits is monotonic
+function bisectMax(low, high, fits) {
+    for (let i = 0; i < 50; i++) {
+        const middle = (low + high) / 2;
+        if (fits(middle)) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// Jerk-limited speed over a stretch of path: speed up from entrySpeed, cruise, slow down to exitSpeed
+class SpeedProfile {
+    constructor(entrySpeed, pieces) {
+        this.entrySpeed = entrySpeed;
+        this.pieces = pieces;
+        this.duration = pieces.reduce((total, piece) => total + piece.duration, 0);
+    }
+
+    // Highest peak speed that leaves room to slow down again within length
+    static plan(entrySpeed, exitSpeed, length, maxSpeed, maxAcceleration, maxJerk) {
+        const changeDistance = peak => getSpeedChangeDistance(entrySpeed, peak, maxAcceleration, maxJerk) + getSpeedChangeDistance(peak, exitSpeed, maxAcceleration, maxJerk);
+        const peakSpeed = bisectMax(Math.max(entrySpeed, exitSpeed), Math.max(entrySpeed, exitSpeed, maxSpeed), peak => changeDistance(peak) <= length);
+        const cruiseDistance = Math.max(0, length - changeDistance(peakSpeed));
+
+        return new SpeedProfile(entrySpeed, [
+            ...getSpeedChangePieces(entrySpeed, peakSpeed, maxAcceleration, maxJerk),
+            ...(cruiseDistance > 0 ? [{ duration: cruiseDistance / peakSpeed, acceleration: 0, jerk: 0 }] : []),
+            ...getSpeedChangePieces(peakSpeed, exitSpeed, maxAcceleration, maxJerk),
+        ]);
+    }
+
+    // Distance flown and speed t seconds into the profile
+    stateAt(t) {
+        let distance = 0;
+        let speed = this.entrySpeed;
+        let remaining = Math.max(0, Math.min(this.duration, t));
+
+        for (const piece of this.pieces) {
+            const elapsed = Math.min(remaining, piece.duration);
+            distance += speed * elapsed + piece.acceleration * elapsed ** 2 / 2 + (piece.jerk ? piece.jerk * elapsed ** 3 / 6 : 0);
+            speed += piece.acceleration * elapsed + (piece.jerk ? piece.jerk * elapsed ** 2 / 2 : 0);
+            remaining -= elapsed;
+        }
+        return { distance, speed };
+    }
+
+    timeAtDistance(distance) {
+        return bisectMax(0, this.duration, t => this.stateAt(t).distance <= distance);
+    }
+}
+
+// Energy units are whatever capacity is given in (e.g. Wh); distances are in the planning frame's units
+class EnergyModel {
+    constructor(options = {}) {
+        this.capacity = options.capacity;
+        this.costPerMetre = options.costPerMetre || 0;
+        this.climbCostPerMetre = options.climbCostPerMetre || 0;
+        this.hoverCostPerSecond = options.hoverCostPerSecond || 0;
+        this.hoverTime = options.hoverTime || 0;
+        this.reserve = options.reserve || 0;
+
+        if (!(this.capacity > 0)) {
+            throw new Error(`Energy model capacity must be a positive number, got ${options.capacity}`);
+        }
+        if (!(this.reserve >= 0 && this.reserve < 1)) {
+            throw new Error(`Energy model reserve must be a fraction in [0, 1), got ${options.reserve}`);
+        }
+    }
+
+    get reserveEnergy() {
+        return this.capacity * this.reserve;
+    }
+
+    // With a wind field the per-metre cost applies to the distance flown through the air, not over the ground
+    getPathEnergy(path, windField, airspeed) {
+        return path.slice(1).reduce((total, waypoint, i) => {
+            const climb = Math.max(0, (waypoint.z || 0) - (path[i].z || 0));
+            const airDistance = windField ? windField.getTravelTime(path[i], waypoint, airspeed) * airspeed : path[i].horizontalDistanceTo(waypoint);
+            return total + airDistance * this.costPerMetre + climb * this.climbCostPerMetre;
+        }, 0);
+    }
+
+    getHoverEnergy() {
+        return this.hoverCostPerSecond * this.hoverTime;
+    }
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, char => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "\"": "&quot;", "'": "&apos;" })[char]);
+}
+
+// Axis tick spacing of 1, 2 or 5 times a power of ten giving roughly targetTicks ticks over span
+function getTickStep(span, targetTicks) {
+    const rough = span / targetTicks;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    return [1, 2, 5, 10].map(factor => factor * magnitude).find(step => step >= rough);
+}
+
+class RouteOptimizer {
+    // maxSegmentLength caps the spacing of the returned route points (Infinity for no subdivision);
+    // options.clearance is the buffer kept around every obstacle unless the obstacle sets its own (0 for none).
+    // Both are required so a forgotten setting cannot silently disable subdivision or the safety buffer.
+    constructor(waypoints, obstacles, maxSegmentLength, options = {}) {
+        if (!Array.isArray(waypoints) || waypoints.length === 0) {
+            throw new Error("RouteOptimizer needs a non-empty array of waypoints");
+        }
+        const invalidWaypoint = waypoints.find(waypoint => !waypoint || !Number.isFinite(waypoint.x) || !Number.isFinite(waypoint.y));
+        if (invalidWaypoint !== undefined) {
+            throw new Error(`Every waypoint needs finite x and y coordinates, got ${JSON.stringify(invalidWaypoint)}`);
+        }
+        if (!Array.isArray(obstacles)) {
+            throw new Error("RouteOptimizer needs an array of obstacles (pass [] for none)");
+        }
+        if (!(typeof maxSegmentLength === "number" && maxSegmentLength > 0)) {
+            throw new Error(`maxSegmentLength must be a positive number, or Infinity for no subdivision, got ${maxSegmentLength}`);
+        }
+        if (options.clearance === undefined) {
+            throw new Error("options.clearance is required: the buffer kept around every obstacle, 0 for none");
+        }
+
+        this.waypoints = waypoints;
+        this.obstacles = obstacles;
+        this.maxSegmentLength = maxSegmentLength;
+
+        this.strategy = options.strategy || "auto";
+        this.maxIterations = options.maxIterations !== undefined ? options.maxIterations : 10000;
+        this.timeLimit = options.timeLimit !== undefined ? options.timeLimit : 1000;
+        this.verticalCostFactor = options.verticalCostFactor !== undefined ? options.verticalCostFactor : 1;
+        this.minFlightAltitude = options.minFlightAltitude !== undefined ? options.minFlightAltitude : -Infinity;
+        this.maxFlightAltitude = options.maxFlightAltitude !== undefined ? options.maxFlightAltitude : Infinity;
+
+        this.costMatrix = null;
+        this.legPaths = new Map();
+        this.projection = options.projection || null;
+        this.energyModel = options.energyModel || null;
+        this.chargingStations = options.chargingStations || [];
+        this.cruiseSpeed = options.cruiseSpeed;
+        this.startTime = options.startTime || 0;
+        this.windField = options.windField || null;
+        this.legCost = options.legCost || (this.windField ? "time" : "distance");
+        this.movingObstacles = options.movingObstacles || [];
+        this.minSpeed = options.minSpeed !== undefined || this.cruiseSpeed === undefined ? options.minSpeed : this.cruiseSpeed / 4;
+        this.maxWait = options.maxWait !== undefined ? options.maxWait : 60;
+        this.waitStep = options.waitStep !== undefined ? options.waitStep : 1;
+        this.maxAcceleration = options.maxAcceleration || 2;
+        this.maxJerk = options.maxJerk || 4;
+        this.clearance = options.clearance;
+        this.returnToHome = options.returnToHome !== undefined ? options.returnToHome : true;
+        this.pointPaths = new Map();
+        this.visibilityVertices = new Map();
+        this.indexCellSize = options.indexCellSize;
+        this.spatialIndex = null;
+
+        this.checkClearance(this.clearance, "options.clearance");
+        obstacles.forEach(obstacle => this.checkObstacle(obstacle));
+        if (this.indexCellSize !== undefined && !(this.indexCellSize > 0 && isFinite(this.indexCellSize))) {
+            throw new Error(`options.indexCellSize must be a positive number, got ${this.indexCellSize}`);
+        }
+
+        if (!ORDERING_STRATEGIES.includes(this.strategy)) {
+            throw new Error(`Unknown ordering strategy "${this.strategy}", expected one of: ${ORDERING_STRATEGIES.join(", ")}`);
+        }
+        if (this.strategy === "held-karp" && waypoints.length > HELD_KARP_MAX_WAYPOINTS) {
+            throw new Error(`Held-Karp supports at most ${HELD_KARP_MAX_WAYPOINTS} waypoints, got ${waypoints.length}`);
+        }
+        if (!LEG_COST_MODES.includes(this.legCost)) {
+            throw new Error(`Unknown leg cost "${this.legCost}", expected one of: ${LEG_COST_MODES.join(", ")}`);
+        }
+        if (this.legCost !== "distance" && !(this.cruiseSpeed > 0)) {
+            throw new Error(`Leg cost "${this.legCost}" requires a positive options.cruiseSpeed`);
+        }
+        if (this.minSpeed !== undefined && !(this.minSpeed > 0 && (this.cruiseSpeed === undefined || this.minSpeed <= this.cruiseSpeed))) {
+            throw new Error(`options.minSpeed must be a positive number no greater than cruiseSpeed, got ${this.minSpeed}`);
+        }
+        if (this.legCost === "energy" && !this.energyModel) {
+            throw new Error(`Leg cost "energy" requires options.energyModel`);
+        }
+        if (!(this.maxWait >= 0 && isFinite(this.maxWait))) {
+            throw new Error(`options.maxWait must be a finite, non-negative number of seconds, got ${this.maxWait}`);
+        }
+        if (!(this.waitStep > 0 && isFinite(this.waitStep))) {
+            throw new Error(`options.waitStep must be a finite, positive number of seconds, got ${this.waitStep}`);
+        }
+    }
+
+    // Plan in a local ENU frame around options.origin (the first waypoint by default); radii and distances are in metres
+    static fromGeodetic(geoWaypoints, geoObstacles, maxSegmentLength, options = {}) {
+        const projection = new LocalProjection(options.origin || geoWaypoints[0]);
+        const waypoints = geoWaypoints.map(waypoint => projection.toLocal(waypoint));
+        const obstacles = geoObstacles.map(obstacle => projection.toLocalObstacle(obstacle));
+
+        return new RouteOptimizer(waypoints, obstacles, maxSegmentLength, { ...options, projection });
+    }
+
+    checkClearance(clearance, label) {
+        if (!(typeof clearance === "number" && clearance >= 0 && isFinite(clearance))) {
+            throw new Error(`${label} must be a finite, non-negative number, got ${clearance}`);
+        }
+    }
+
+    checkObstacle(obstacle) {
+        if (!obstacle || typeof obstacle.intersectsWithLineSegment !== "function") {
+            throw new Error(`Obstacles must be Obstacle or PolygonObstacle instances, got ${JSON.stringify(obstacle)}`);
+        }
+        if (obstacle.clearance !== undefined) {
+            this.checkClearance(obstacle.clearance, `Clearance of obstacle at (${obstacle.x}, ${obstacle.y})`);
+        }
+    }
+
+    // Buffer kept around an obstacle: its own override or the optimizer-wide clearance
+    getClearance(obstacle) {
+        return obstacle.clearance !== undefined ? obstacle.clearance : this.clearance;
+    }
+
+    // Obstacles grown by their clearance in a grid hash, built on first use and kept up to date by applyObstacleDelta.
+    // Cells default to twice the median obstacle width so most obstacles fall in a handful of cells.
+    getSpatialIndex() {
+        if (!this.spatialIndex) {
+            const widths = this.obstacles.map(obstacle => {
+                const bounds = SpatialIndex.getBounds(obstacle, this.getClearance(obstacle));
+                return Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+            }).sort((a, b) => a - b);
+            const cellSize = this.indexCellSize || 2 * widths[Math.floor(widths.length / 2)] || 1;
+
+            this.spatialIndex = new SpatialIndex(cellSize);
+            this.obstacles.forEach(obstacle => this.spatialIndex.insert(obstacle, this.getClearance(obstacle)));
+        }
+        return this.spatialIndex;
+    }
+
+    optimizeGeoRoute() {
+        if (!this.projection) {
+            throw new Error("optimizeGeoRoute requires an optimizer created with RouteOptimizer.fromGeodetic");
+        }
+        return this.optimizeRoute().map(waypoint => this.projection.toGeodetic(waypoint));
+    }
+
+    optimizeRoute() {
+        const tour = this.orderTour();
+        const route = [this.waypoints[tour[0]]];
+
+        for (let i = 1; i < tour.length; i++) {
+            const safeRoute = this.subdivideRoute(this.getLegPath(tour[i - 1], tour[i]));
+            route.push(...safeRoute.slice(1));
+        }
+
+        // Optional: Return to start
+        if (route.length > 1 && this.returnToHome) {
+            const safeRoute = this.subdivideRoute(this.getLegPath(tour[tour.length - 1], tour[0]));
+            route.push(...safeRoute.slice(1));
+        }
+
+        return route;
+    }
+
+    orderWaypoints() {
+        return this.orderTour().map(index => this.waypoints[index]);
+    }
+
+    // Visiting order as indices into this.waypoints, a closed tour starting at 0
+    orderTour() {
+        if (this.waypoints.length <= 2) {
+            return this.waypoints.map((_, index) => index);
+        }
+
+        const costs = this.getTourCostMatrix();
+        let tour;
+
+        if (this.strategy === "held-karp" || (this.strategy === "auto" && this.waypoints.length <= HELD_KARP_MAX_WAYPOINTS)) {
+            tour = this.heldKarpTour(costs);
+        } else {
+            tour = this.nearestNeighbourTour(costs);
+
+            if (this.strategy !== "nearest-neighbour") {
+                const budget = { iterations: 0, deadline: Date.now() + this.timeLimit };
+                const useTwoOpt = this.strategy !== "or-opt";
+                const useOrOpt = this.strategy !== "2-opt";
+                let improved = true;
+
+                while (improved && this.hasBudget(budget)) {
+                    const twoOptImproved = useTwoOpt && this.improveTwoOpt(tour, costs, budget);
+                    const orOptImproved = useOrOpt && this.improveOrOpt(tour, costs, budget);
+                    improved = twoOptImproved || orOptImproved;
+                }
+            }
+        }
+
+        return tour;
+    }
+
+    // Pairwise obstacle-avoiding flight costs, computed once and reused by every strategy
+    getCostMatrix() {
+        if (!this.costMatrix) {
+            this.costMatrix = this.waypoints.map((_, from) => this.waypoints.map((_, to) => (from === to ? 0 : this.getPathCost(this.getLegPath(from, to)))));
+        }
+        return this.costMatrix;
+    }
+
+    // Without return-to-home the drone may finish anywhere: a closed tour whose legs back to the start are free
+    getTourCostMatrix() {
+        const costs = this.getCostMatrix();
+        return this.returnToHome ? costs : costs.map(row => row.map((cost, to) => (to === 0 ? 0 : cost)));
+    }
+
+    // Call after changing this.waypoints or this.obstacles so cached legs are re-planned
+    invalidateCostMatrix() {
+        this.costMatrix = null;
+        this.legPaths.clear();
+        this.pointPaths.clear();
+        this.visibilityVertices.clear();
+        this.spatialIndex = null;
+    }
+
+    // Add and remove obstacles mid-mission, dropping only the cached legs the change can affect.
+    // Returns the number of cached paths that will be re-planned.
+    applyObstacleDelta({ added = [], removed = [] } = {}) {
+        added.forEach(obstacle => this.checkObstacle(obstacle));
+        const removedSet = new Set(removed);
+        this.obstacles = this.obstacles.filter(obstacle => !removedSet.has(obstacle)).concat(added);
+        removed.forEach(obstacle => this.visibilityVertices.delete(obstacle));
+        if (this.spatialIndex) {
+            removed.forEach(obstacle => this.spatialIndex.remove(obstacle));
+            added.forEach(obstacle => this.spatialIndex.insert(obstacle, this.getClearance(obstacle)));
+        }
+
+        const isStale = path => {
+            for (let i = 1; i < path.length; i++) {
+                const segment = new LineSegment(path[i - 1], path[i]);
+                if (added.some(obstacle => obstacle.intersectsWithLineSegment(segment, this.getClearance(obstacle)))) {
+                    return true;
+                }
+            }
+
+            // A straight leg is already optimal; a detour can only shorten if the removed obstacle
+            // reaches into the ellipse of points no further than the detour from both ends
+            if (removed.length === 0 || path.length <= 2) {
+                return false;
+            }
+            if (this.legCost !== "distance") {
+                return true;
+            }
+
+            const start = path[0];
+            const end = path[path.length - 1];
+            const detourLength = this.getPathCost(path);
+            return removed.some(obstacle => {
+                const centre = new Waypoint(obstacle.x, obstacle.y);
+                const reach = obstacle.getBoundingRadius() + this.getClearance(obstacle);
+                return centre.horizontalDistanceTo(start) + centre.horizontalDistanceTo(end) - 2 * reach <= detourLength;
+            });
+        };
+
+        let invalidated = 0;
+        for (const [key, path] of this.legPaths) {
+            if (isStale(path)) {
+                this.legPaths.delete(key);
+                invalidated++;
+            }
+        }
+        for (const pathsFromStart of this.pointPaths.values()) {
+            for (const [end, path] of pathsFromStart) {
+                if (isStale(path)) {
+                    pathsFromStart.delete(end);
+                    invalidated++;
+                }
+            }
+        }
+
+        this.costMatrix = null;
+        return invalidated;
+    }
+
+    // Re-plan the rest of a mission from the drone's current position after the obstacle set changed.
+    // Visited waypoints are left alone; the remaining ones are re-ordered and, with returnToHome, the route ends
+    // back at the first waypoint.
+    replanRoute(currentPosition, remainingWaypoints, obstacleDelta = {}) {
+        const invalidatedLegs = this.applyObstacleDelta(obstacleDelta);
+        const home = this.waypoints[0];
+        const stops = [currentPosition, ...remainingWaypoints.filter(waypoint => waypoint !== home && waypoint !== currentPosition)];
+        if (this.returnToHome) {
+            stops.push(home);
+        }
+        const costs = stops.map(from => stops.map(to => (from === to ? 0 : this.getPathCost(this.getSafePath(from, to)))));
+        const order = this.orderOpenPath(costs, this.returnToHome);
+
+        const route = [currentPosition];
+        for (let i = 1; i < order.length; i++) {
+            route.push(...this.subdivideRoute(this.getSafePath(stops[order[i - 1]], stops[order[i]])).slice(1));
+        }
+
+        return { route, waypointOrder: order.slice(1, this.returnToHome ? -1 : undefined).map(index => stops[index]), invalidatedLegs };
+    }
+
+    // Nearest neighbour then 2-opt over an open path whose first stop is fixed, and whose last stop is too when fixedEnd is set
+    orderOpenPath(costs, fixedEnd = true) {
+        const last = costs.length - 1;
+        const order = [0];
+        const unvisited = costs.map((_, index) => index).slice(1, fixedEnd ? last : undefined);
+
+        while (unvisited.length > 0) {
+            const current = order[order.length - 1];
+            const closest = unvisited.reduce((best, index) => (costs[current][index] < costs[current][best] ? index : best), unvisited[0]);
+
+            order.push(closest);
+            unvisited.splice(unvisited.indexOf(closest), 1);
+        }
+        if (fixedEnd && last > 0) {
+            order.push(last);
+        }
+
+        const pathCost = candidate => candidate.slice(1).reduce((total, index, i) => total + costs[candidate[i]][index], 0);
+        const budget = { iterations: 0, deadline: Date.now() + this.timeLimit };
+        let improved = true;
+
+        while (improved && this.hasBudget(budget)) {
+            improved = false;
+            const lastMovable = fixedEnd ? order.length - 2 : order.length - 1;
+            for (let i = 1; i < lastMovable; i++) {
+                for (let j = i + 1; j <= lastMovable; j++) {
+                    const candidate = order.slice(0, i).concat(order.slice(i, j + 1).reverse(), order.slice(j + 1));
+                    if (pathCost(candidate) < pathCost(order) - VISIBILITY_EPSILON) {
+                        order.splice(0, order.length, ...candidate);
+                        budget.iterations++;
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        return order;
+    }
+
+    // Safe path between any two points, reusing the waypoint leg cache where possible
+    getSafePath(start, end) {
+        const fromIndex = this.waypoints.indexOf(start);
+        const toIndex = this.waypoints.indexOf(end);
+        if (fromIndex !== -1 && toIndex !== -1) {
+            return fromIndex === toIndex ? [start] : this.getLegPath(fromIndex, toIndex);
+        }
+
+        if (!this.pointPaths.has(start)) {
+            this.pointPaths.set(start, new Map());
+        }
+        const pathsFromStart = this.pointPaths.get(start);
+        if (!pathsFromStart.has(end)) {
+            pathsFromStart.set(end, start === end ? [start] : this.planSafePath(new LineSegment(start, end)));
+        }
+        return pathsFromStart.get(end);
+    }
+
+    getLegPath(fromIndex, toIndex) {
+        const key = `${fromIndex}:${toIndex}`;
+
+        if (!this.legPaths.has(key)) {
+            const path = this.planSafePath(new LineSegment(this.waypoints[fromIndex], this.waypoints[toIndex]));
+            this.legPaths.set(key, path);
+            if (this.isSymmetricCost()) {
+                this.legPaths.set(`${toIndex}:${fromIndex}`, path.slice().reverse());
+            }
+        }
+        return this.legPaths.get(key);
+    }
+
+    getPathLength(path) {
+        return path.slice(1).reduce((total, waypoint, i) => total + path[i].distanceTo(waypoint), 0);
+    }
+
+    // Wind makes A->B and B->A cost differently, and so does energy between waypoints at different altitudes,
+    // since only climbing is charged
+    isSymmetricCost() {
+        if (this.legCost === "distance") {
+            return true;
+        }
+        if (this.windField) {
+            return false;
+        }
+        return this.legCost !== "energy" || this.energyModel.climbCostPerMetre === 0 || this.waypoints.every(waypoint => (waypoint.z || 0) === (this.waypoints[0].z || 0));
+    }
+
+    // Cost of one straight segment under the configured leg cost: distance, flight time or battery energy.
+    // Altitude changes are weighted by verticalCostFactor in distance and time modes.
+    getSegmentCost(start, end) {
+        const climb = Math.abs((end.z || 0) - (start.z || 0));
+
+        if (this.legCost === "energy") {
+            return this.energyModel.getPathEnergy([start, end], this.windField, this.cruiseSpeed);
+        }
+        if (this.legCost === "time") {
+            return this.getHorizontalTime(start, end) + this.verticalCostFactor * climb / this.cruiseSpeed;
+        }
+        return start.horizontalDistanceTo(end) + this.verticalCostFactor * climb;
+    }
+
+    getPathCost(path) {
+        return path.slice(1).reduce((total, waypoint, i) => total + this.getSegmentCost(path[i], waypoint), 0);
+    }
+
+    // Lower bound on the leg cost of each horizontal metre: no ground speed exceeds cruise speed plus the strongest
+    // wind, so no metre takes less time or air distance than that allows. 0 when no bound is known.
+    getMinCostPerMetre() {
+        if (this.legCost === "distance") {
+            return 1;
+        }
+        const maxGroundSpeed = this.cruiseSpeed + (this.windField ? this.windField.maxSpeed : 0);
+        if (this.legCost === "time") {
+            return 1 / maxGroundSpeed;
+        }
+        return this.energyModel.costPerMetre * this.cruiseSpeed / maxGroundSpeed;
+    }
+
+    // Horizontal flight time at cruise speed, through the wind field when one is set
+    getHorizontalTime(start, end) {
+        if (!this.windField) {
+            return start.horizontalDistanceTo(end) / this.cruiseSpeed;
+        }
+        return this.windField.getTravelTime(start, end, this.cruiseSpeed);
+    }
+
+    // Horizontal flight time plus climb time at cruise speed
+    getSegmentTime(start, end) {
+        return this.getHorizontalTime(start, end) + Math.abs((end.z || 0) - (start.z || 0)) / this.cruiseSpeed;
+    }
+
+    getPathTime(path) {
+        return path.slice(1).reduce((total, waypoint, i) => total + this.getSegmentTime(path[i], waypoint), 0);
+    }
+
+    // Cost change from flying a chain of the tour backwards; zero unless costs are asymmetric
+    getReversalDelta(chain, costs) {
+        if (this.isSymmetricCost()) {
+            return 0;
+        }
+
+        let delta = 0;
+        for (let k = 0; k < chain.length - 1; k++) {
+            delta += costs[chain[k + 1]][chain[k]] - costs[chain[k]][chain[k + 1]];
+        }
+        return delta;
+    }
+
+    checkFlightEnvelope(waypoint) {
+        const altitude = waypoint.z || 0;
+        if (altitude < this.minFlightAltitude || altitude > this.maxFlightAltitude) {
+            throw new Error(`Waypoint (${waypoint.x}, ${waypoint.y}, ${altitude}) is outside the flight envelope [${this.minFlightAltitude}, ${this.maxFlightAltitude}]`);
+        }
+    }
+
+    getTourCost(tour, costs) {
+        return tour.reduce((total, index, i) => total + costs[index][tour[(i + 1) % tour.length]], 0);
+    }
+
+    hasBudget(budget) {
+        return budget.iterations < this.maxIterations && Date.now() < budget.deadline;
+    }
+
+    nearestNeighbourTour(costs) {
+        const tour = [0];
+        const unvisited = costs.map((_, index) => index).slice(1);
+
+        while (unvisited.length > 0) {
+            const current = tour[tour.length - 1];
+            const closest = unvisited.reduce((best, index) => (costs[current][index] < costs[current][best] ? index : best), unvisited[0]);
+
+            tour.push(closest);
+            unvisited.splice(unvisited.indexOf(closest), 1);
+        }
+
+        return tour;
+    }
+
+    // Reverse tour[i..j] whenever that shortens the tour; tour[0] stays fixed
+    improveTwoOpt(tour, costs, budget) {
+        let improved = false;
+
+        for (let i = 1; i < tour.length - 1 && this.hasBudget(budget); i++) {
+            for (let j = i + 1; j < tour.length; j++) {
+                const before = tour[i - 1];
+                const after = tour[(j + 1) % tour.length];
+                const delta = costs[before][tour[j]] + costs[tour[i]][after] - costs[before][tour[i]] - costs[tour[j]][after]
+                    + this.getReversalDelta(tour.slice(i, j + 1), costs);
+
+                if (delta < -VISIBILITY_EPSILON) {
+                    const reversed = tour.slice(i, j + 1).reverse();
+                    tour.splice(i, reversed.length, ...reversed);
+                    budget.iterations++;
+                    improved = true;
+                }
+            }
+        }
+
+        return improved;
+    }
+
+    // Move chains of 1-3 consecutive waypoints (optionally reversed) to a cheaper position
+    improveOrOpt(tour, costs, budget) {
+        let improved = false;
+
+        for (let chainLength = 1; chainLength <= 3; chainLength++) {
+            for (let i = 1; i + chainLength <= tour.length && this.hasBudget(budget); i++) {
+                const chain = tour.slice(i, i + chainLength);
+                const before = tour[i - 1];
+                const after = tour[(i + chainLength) % tour.length];
+                const removalGain = costs[before][chain[0]] + costs[chain[chain.length - 1]][after] - costs[before][after];
+
+                const remaining = tour.slice(0, i).concat(tour.slice(i + chainLength));
+                let bestMove = null;
+
+                for (let k = 0; k < remaining.length; k++) {
+                    const from = remaining[k];
+                    const to = remaining[(k + 1) % remaining.length];
+
+                    for (const candidate of [chain, chain.slice().reverse()]) {
+                        const insertionCost = costs[from][candidate[0]] + costs[candidate[candidate.length - 1]][to] - costs[from][to];
+                        const delta = insertionCost - removalGain + (candidate === chain ? 0 : this.getReversalDelta(chain, costs));
+
+                        if (delta < -VISIBILITY_EPSILON && (!bestMove || delta < bestMove.delta)) {
+                            bestMove = { position: k + 1, chain: candidate, delta };
+                        }
+                    }
+                }
+
+                if (bestMove) {
+                    remaining.splice(bestMove.position, 0, ...bestMove.chain);
+                    tour.splice(0, tour.length, ...remaining);
+                    budget.iterations++;
+                    improved = true;
+                }
+            }
+        }
+
+        return improved;
+    }
+
+    // Exact dynamic programming over subsets of waypoints 1..n-1
+    heldKarpTour(costs) {
+        const n = costs.length;
+        const subsetCount = 1 << (n - 1);
+        const dp = new Float64Array(subsetCount * n).fill(Infinity);
+        const parents = new Int8Array(subsetCount * n).fill(-1);
+
+        for (let k = 1; k < n; k++) {
+            dp[(1 << (k - 1)) * n + k] = costs[0][k];
+        }
+
+        for (let subset = 1; subset < subsetCount; subset++) {
+            for (let k = 1; k < n; k++) {
+                const cost = dp[subset * n + k];
+                if (!(subset & (1 << (k - 1))) || cost === Infinity) {
+                    continue;
+                }
+
+                for (let next = 1; next < n; next++) {
+                    const bit = 1 << (next - 1);
+                    if (subset & bit) {
+                        continue;
+                    }
+
+                    const state = (subset | bit) * n + next;
+                    if (cost + costs[k][next] < dp[state]) {
+                        dp[state] = cost + costs[k][next];
+                        parents[state] = k;
+                    }
+                }
+            }
+        }
+
+        const fullSubset = subsetCount - 1;
+        let last = 1;
+        for (let k = 2; k < n; k++) {
+            if (dp[fullSubset * n + k] + costs[k][0] < dp[fullSubset * n + last] + costs[last][0]) {
+                last = k;
+            }
+        }
+
+        const tour = [];
+        for (let subset = fullSubset, k = last; k > 0;) {
+            tour.unshift(k);
+            const previous = parents[subset * n + k];
+            subset &= ~(1 << (k - 1));
+            k = previous;
+        }
+        tour.unshift(0);
+
+        return tour;
+    }
+
+    getTravelTimeMatrix() {
+        if (!(this.cruiseSpeed > 0)) {
+            throw new Error(`Scheduling requires a positive options.cruiseSpeed, got ${this.cruiseSpeed}`);
+        }
+        return this.waypoints.map((_, from) => this.waypoints.map((_, to) => (from === to ? 0 : this.getPathTime(this.getLegPath(from, to)))));
+    }
+
+    // Arrival/departure times for a tour, closed back at home with returnToHome; the drone waits when early and is
+    // late when service starts after latest
+    evaluateSchedule(tour, travelTimes) {
+        const home = this.waypoints[tour[0]];
+        const departureTime = Math.max(this.startTime, home.earliest !== undefined ? home.earliest : -Infinity);
+        const schedule = [{ waypoint: home, arrival: departureTime, departure: departureTime, wait: 0, lateness: 0 }];
+        let time = departureTime;
+
+        for (let i = 1; i < this.getTourStopCount(tour); i++) {
+            const index = tour[i % tour.length];
+            const waypoint = this.waypoints[index];
+            const isFinal = i === tour.length;
+
+            const arrival = time + travelTimes[tour[i - 1]][index];
+            const serviceStart = isFinal ? arrival : Math.max(arrival, waypoint.earliest !== undefined ? waypoint.earliest : -Infinity);
+            const lateness = waypoint.latest !== undefined ? Math.max(0, serviceStart - waypoint.latest) : 0;
+            const departure = isFinal ? arrival : serviceStart + (waypoint.serviceTime || 0);
+
+            schedule.push({ waypoint, arrival, departure, wait: serviceStart - arrival, lateness });
+            time = departure;
+        }
+
+        const missed = schedule.filter(entry => entry.lateness > 0);
+        return {
+            schedule,
+            missed,
+            score: [missed.length, missed.reduce((total, entry) => total + entry.lateness, 0), time],
+        };
+    }
+
+    // Stops flown along a tour: its waypoints, plus home again at the end when the drone returns there
+    getTourStopCount(tour) {
+        return this.returnToHome && tour.length > 1 ? tour.length + 1 : tour.length;
+    }
+
+    isBetterSchedule(candidate, best) {
+        for (let i = 0; i < candidate.score.length; i++) {
+            if (Math.abs(candidate.score[i] - best.score[i]) > VISIBILITY_EPSILON) {
+                return candidate.score[i] < best.score[i];
+            }
+        }
+        return false;
+    }
+
+    // Order waypoints to meet their time windows: start from the best of the distance tour and earliest-deadline-first,
+    // then relocate single waypoints and reverse segments while the schedule improves
+    scheduleRoute() {
+        const travelTimes = this.getTravelTimeMatrix();
+        const distanceTour = this.orderTour();
+        const deadline = index => (this.waypoints[index].latest !== undefined ? this.waypoints[index].latest : Infinity);
+        const deadlineTour = [distanceTour[0], ...distanceTour.slice(1).sort((a, b) => deadline(a) - deadline(b))];
+
+        let tour = distanceTour;
+        let best = this.evaluateSchedule(distanceTour, travelTimes);
+        const deadlineSchedule = this.evaluateSchedule(deadlineTour, travelTimes);
+        if (this.isBetterSchedule(deadlineSchedule, best)) {
+            tour = deadlineTour;
+            best = deadlineSchedule;
+        }
+
+        const budget = { iterations: 0, deadline: Date.now() + this.timeLimit };
+        let improved = true;
+
+        while (improved && this.hasBudget(budget)) {
+            improved = false;
+
+            for (let i = 1; i < tour.length && !improved; i++) {
+                for (let j = 1; j < tour.length && !improved; j++) {
+                    if (i === j) {
+                        continue;
+                    }
+
+                    const relocated = tour.filter((_, k) => k !== i);
+                    relocated.splice(j, 0, tour[i]);
+                    const reversed = i < j ? [...tour.slice(0, i), ...tour.slice(i, j + 1).reverse(), ...tour.slice(j + 1)] : null;
+
+                    for (const candidateTour of [relocated, reversed].filter(candidate => candidate)) {
+                        const candidate = this.evaluateSchedule(candidateTour, travelTimes);
+                        if (this.isBetterSchedule(candidate, best)) {
+                            tour = candidateTour;
+                            best = candidate;
+                            budget.iterations++;
+                            improved = true;
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+
+        const route = [this.waypoints[tour[0]]];
+        for (let i = 1; i < this.getTourStopCount(tour); i++) {
+            route.push(...this.subdivideRoute(this.getLegPath(tour[i - 1], tour[i % tour.length])).slice(1));
+        }
+
+        return { route, schedule: best.schedule, missedWindows: best.missed, totalTime: best.score[2] - best.schedule[0].departure };
+    }
+
+    isConflictFree(start, end, startTime, endTime) {
+        return this.movingObstacles.every(obstacle => !obstacle.conflictsWith(start, end, startTime, endTime, this.getClearance(obstacle)));
+    }
+
+    // Time a planned route against moving obstacles: each leg departs as soon as it can, hovering at its start or
+    // flying slower (down to minSpeed) when flying through at cruise speed would meet an obstacle at the same moment
+    planTimedRoute(route) {
+        if (!(this.cruiseSpeed > 0)) {
+            throw new Error(`Timing a route requires a positive options.cruiseSpeed, got ${this.cruiseSpeed}`);
+        }
+        if (!(this.minSpeed > 0 && this.minSpeed <= this.cruiseSpeed)) {
+            throw new Error(`options.minSpeed must be in (0, cruiseSpeed], got ${this.minSpeed}`);
+        }
+
+        let time = this.startTime;
+        const timedRoute = [{ waypoint: route[0], arrival: time, departure: time, wait: 0, speed: 0 }];
+
+        for (let i = 1; i < route.length; i++) {
+            const start = route[i - 1];
+            const end = route[i];
+            const timing = this.findConflictFreeTiming(start, end, time);
+
+            if (!timing) {
+                throw new Error(`No conflict-free timing for leg (${start.x}, ${start.y}) -> (${end.x}, ${end.y}) departing at ${time.toFixed(1)}s within ${this.maxWait}s of waiting`);
+            }
+
+            const previous = timedRoute[timedRoute.length - 1];
+            previous.wait = timing.wait;
+            previous.departure = time + timing.wait;
+            time = previous.departure + timing.duration;
+            timedRoute.push({ waypoint: end, arrival: time, departure: time, wait: 0, speed: timing.speed });
+        }
+
+        return timedRoute;
+    }
+
+    // Earliest-arriving combination of hover time and speed for one leg, or null
+    findConflictFreeTiming(start, end, time) {
+        const cruiseDuration = this.getSegmentTime(start, end);
+        const speedSteps = 8;
+        let best = null;
+
+        for (let wait = 0; wait <= this.maxWait; wait += this.waitStep) {
+            // Hovering in place must be safe too, and a longer hover only adds exposure
+            if (wait > 0 && !this.isConflictFree(start, start, time, time + wait)) {
+                break;
+            }
+
+            for (let step = 0; step <= speedSteps; step++) {
+                const speed = this.cruiseSpeed - (this.cruiseSpeed - this.minSpeed) * step / speedSteps;
+                const duration = cruiseDuration * this.cruiseSpeed / speed;
+                const arrival = time + wait + duration;
+
+                if ((!best || arrival < best.arrival - VISIBILITY_EPSILON) && this.isConflictFree(start, end, time + wait, arrival)) {
+                    best = { wait, speed, duration, arrival };
+                }
+            }
+        }
+        return best;
+    }
+
+    // Time-stamped flight along a route: speed is capped at options.maxSpeed (cruise speed by default),
+    // changes under the acceleration and jerk limits, starts and ends at rest and drops to
+    // maxSpeed * cos²(turn / 2) at each corner (zero for a full reversal).
+    // Returns samples at options.sampleRate Hz, the ETA of every route point and the total duration.
+    generateTrajectory(route, options = {}) {
+        const maxSpeed = options.maxSpeed || this.cruiseSpeed;
+        const maxAcceleration = options.maxAcceleration || this.maxAcceleration;
+        const maxJerk = options.maxJerk || this.maxJerk;
+        const sampleRate = options.sampleRate || 10;
+
+        if (!(maxSpeed > 0)) {
+            throw new Error(`A trajectory requires a positive options.maxSpeed or options.cruiseSpeed, got ${maxSpeed}`);
+        }
+        if (!(maxAcceleration > 0 && maxJerk > 0)) {
+            throw new Error(`Acceleration and jerk limits must be positive, got ${maxAcceleration} and ${maxJerk}`);
+        }
+
+        const offsets = [0];
+        route.slice(1).forEach((waypoint, i) => offsets.push(offsets[i] + route[i].distanceTo(waypoint)));
+        const limits = route.map((_, i) => this.getCornerSpeed(route, i, maxSpeed));
+        const reachableSpeed = (fromSpeed, distance) => bisectMax(fromSpeed, Math.max(fromSpeed, maxSpeed), speed => getSpeedChangeDistance(fromSpeed, speed, maxAcceleration, maxJerk) <= distance);
+
+        // Plan one profile per span and split a span at its worst corner until no corner is taken too fast,
+        // so acceleration carries on through gentle bends instead of restarting at every route point
+        const boundaries = [0, route.length - 1];
+        let profiles;
+
+        while (true) {
+            const speeds = boundaries.map(index => limits[index]);
+            for (let k = 1; k < boundaries.length; k++) {
+                speeds[k] = Math.min(speeds[k], reachableSpeed(speeds[k - 1], offsets[boundaries[k]] - offsets[boundaries[k - 1]]));
+            }
+            for (let k = boundaries.length - 2; k >= 0; k--) {
+                speeds[k] = Math.min(speeds[k], reachableSpeed(speeds[k + 1], offsets[boundaries[k + 1]] - offsets[boundaries[k]]));
+            }
+
+            profiles = boundaries.slice(1).map((end, k) => SpeedProfile.plan(speeds[k], speeds[k + 1], offsets[end] - offsets[boundaries[k]], maxSpeed, maxAcceleration, maxJerk));
+
+            const splits = [];
+            profiles.forEach((profile, k) => {
+                let worst = null;
+                let worstExcess = VISIBILITY_EPSILON;
+
+                for (let i = boundaries[k] + 1; i < boundaries[k + 1]; i++) {
+                    const excess = profile.stateAt(profile.timeAtDistance(offsets[i] - offsets[boundaries[k]])).speed - limits[i];
+                    if (excess > worstExcess) {
+                        worst = i;
+                        worstExcess = excess;
+                    }
+                }
+                if (worst !== null) {
+                    splits.push(worst);
+                }
+            });
+
+            if (splits.length === 0) {
+                break;
+            }
+            boundaries.push(...splits);
+            boundaries.sort((a, b) => a - b);
+        }
+
+        const spanStarts = [this.startTime];
+        profiles.forEach((profile, k) => spanStarts.push(spanStarts[k] + profile.duration));
+        const duration = spanStarts[spanStarts.length - 1] - this.startTime;
+
+        let span = 0;
+        const etas = route.map((waypoint, i) => {
+            while (span < profiles.length - 1 && i > boundaries[span + 1]) {
+                span++;
+            }
+            const profile = profiles[span];
+            return { waypoint, eta: profile ? spanStarts[span] + profile.timeAtDistance(offsets[i] - offsets[boundaries[span]]) : this.startTime };
+        });
+
+        const samples = [];
+        const sampleCount = Math.ceil(duration * sampleRate - VISIBILITY_EPSILON);
+        span = 0;
+
+        for (let n = 0; n <= sampleCount; n++) {
+            const time = Math.min(this.startTime + n / sampleRate, this.startTime + duration);
+            while (span < profiles.length - 1 && time > spanStarts[span + 1]) {
+                span++;
+            }
+
+            const state = profiles.length > 0 ? profiles[span].stateAt(time - spanStarts[span]) : { distance: 0, speed: 0 };
+            const distance = n === sampleCount ? offsets[offsets.length - 1] : offsets[boundaries[span]] + state.distance;
+            samples.push(this.getTrajectorySample(route, offsets, distance, state.speed, time));
+        }
+
+        return { samples, etas, duration };
+    }
+
+    getCornerSpeed(route, index, maxSpeed) {
+        if (index === 0 || index === route.length - 1) {
+            return 0;
+        }
+
+        const [previous, corner, next] = [route[index - 1], route[index], route[index + 1]];
+        const incomingLength = previous.distanceTo(corner);
+        const outgoingLength = corner.distanceTo(next);
+        if (incomingLength === 0 || outgoingLength === 0) {
+            return maxSpeed;
+        }
+
+        const dot = (corner.x - previous.x) * (next.x - corner.x) + (corner.y - previous.y) * (next.y - corner.y) + ((corner.z || 0) - (previous.z || 0)) * ((next.z || 0) - (corner.z || 0));
+        const cosTurn = Math.max(-1, Math.min(1, dot / (incomingLength * outgoingLength)));
+        return maxSpeed * (1 + cosTurn) / 2;
+    }
+
+    // Position, velocity and heading once distance has been flown along the route
+    getTrajectorySample(route, offsets, distance, speed, time) {
+        let index = 0;
+        while (index < route.length - 2 && (offsets[index + 1] < distance || offsets[index + 1] === offsets[index])) {
+            index++;
+        }
+
+        const start = route[index];
+        const end = route[Math.min(index + 1, route.length - 1)];
+        const length = start.distanceTo(end);
+
+        if (length === 0) {
+            return { time, position: start, velocity: { x: 0, y: 0, z: 0 }, speed: 0, heading: 0 };
+        }
+
+        const ratio = distance >= offsets[index + 1] ? 1 : Math.max(0, (distance - offsets[index]) / length);
+        const direction = { x: (end.x - start.x) / length, y: (end.y - start.y) / length, z: ((end.z || 0) - (start.z || 0)) / length };
+        const z = start.z === undefined && end.z === undefined ? undefined : (start.z || 0) + ((end.z || 0) - (start.z || 0)) * ratio;
+
+        return {
+            time,
+            position: ratio === 1 ? end : new Waypoint(start.x + (end.x - start.x) * ratio, start.y + (end.y - start.y) * ratio, z),
+            velocity: { x: speed * direction.x, y: speed * direction.y, z: speed * direction.z },
+            speed,
+            heading: Math.atan2(direction.y, direction.x),
+        };
+    }
+
+    // Fly the optimized tour with the energy model, landing at a charging station (the home waypoint counts as one)
+    // whenever the next leg would leave too little charge to reach a station afterwards. Without returnToHome the
+    // mission ends at the last waypoint, which then only has to be reached with the reserve intact.
+    optimizeEnergyRoute() {
+        if (!this.energyModel) {
+            throw new Error("optimizeEnergyRoute requires options.energyModel");
+        }
+
+        const model = this.energyModel;
+        const tour = this.orderTour();
+        const home = this.waypoints[tour[0]];
+        const stations = [home, ...this.chargingStations];
+        const targets = tour.slice(1).map(index => this.waypoints[index]);
+        if (targets.length > 0 && this.returnToHome) {
+            targets.push(home);
+        }
+
+        const energyBetween = (start, end) => model.getPathEnergy(this.getSafePath(start, end), this.windField, this.cruiseSpeed);
+        const energyToNearestStation = from => Math.min(...stations.map(station => energyBetween(from, station)));
+
+        let charge = model.capacity;
+        let current = home;
+        let energyUsed = 0;
+        const route = [home];
+        const stops = [{ waypoint: home, type: "home", arrivalCharge: charge, departureCharge: charge }];
+
+        const flyTo = target => {
+            const legEnergy = energyBetween(current, target);
+            route.push(...this.subdivideRoute(this.getSafePath(current, target)).slice(1));
+            charge -= legEnergy;
+            energyUsed += legEnergy;
+            current = target;
+        };
+
+        targets.forEach((target, index) => {
+            const isFinal = index === targets.length - 1;
+            const isHome = isFinal && this.returnToHome;
+            const hoverEnergy = isHome ? 0 : model.getHoverEnergy();
+            const onwardEnergy = isFinal ? 0 : energyToNearestStation(target);
+            const isFeasibleFrom = (from, available) => available - energyBetween(from, target) - hoverEnergy - onwardEnergy >= model.reserveEnergy;
+
+            if (!isFeasibleFrom(current, charge)) {
+                const candidates = stations.filter(station => station !== current && charge - energyBetween(current, station) >= model.reserveEnergy && isFeasibleFrom(station, model.capacity));
+                if (candidates.length === 0) {
+                    throw new Error(`Infeasible tour: waypoint (${target.x}, ${target.y}) cannot be reached from (${current.x}, ${current.y}) with ${charge.toFixed(2)} remaining, even via a charging station`);
+                }
+
+                const station = candidates.reduce((best, candidate) => (energyBetween(current, candidate) + energyBetween(candidate, target) < energyBetween(current, best) + energyBetween(best, target) ? candidate : best));
+                flyTo(station);
+                stops.push({ waypoint: station, type: "recharge", arrivalCharge: charge, departureCharge: model.capacity });
+                charge = model.capacity;
+            }
+
+            flyTo(target);
+            const arrivalCharge = charge;
+            charge -= hoverEnergy;
+            energyUsed += hoverEnergy;
+            stops.push({ waypoint: target, type: isHome ? "home" : "waypoint", arrivalCharge, departureCharge: charge });
+        });
+
+        return { route, stops, energyUsed };
+    }
+
+    findSafeRoute(lineSegment) {
+        return this.subdivideRoute(this.planSafePath(lineSegment));
+    }
+
+    // Cheapest collision-free polyline for a leg, before subdivision: either around obstacles or climbing over them
+    planSafePath(lineSegment) {
+        const { start, end } = lineSegment;
+        this.checkFlightEnvelope(start);
+        this.checkFlightEnvelope(end);
+
+        if (this.isSafeRoute(lineSegment)) {
+            return [start, end];
+        }
+
+        for (const waypoint of [start, end]) {
+            const blockingObstacle = this.getSpatialIndex().queryPoint(waypoint).find(obstacle => obstacle.containsPoint(waypoint, this.getClearance(obstacle)));
+            if (blockingObstacle) {
+                throw new Error(`No safe route: waypoint (${waypoint.x}, ${waypoint.y}) lies inside obstacle at (${blockingObstacle.x}, ${blockingObstacle.y}) or within its clearance of ${this.getClearance(blockingObstacle)}`);
+            }
+        }
+
+        const candidates = [this.findPathAround(start, end), this.findPathOver(start, end)].filter(path => path);
+        if (candidates.length === 0) {
+            throw new Error(`No safe route from (${start.x}, ${start.y}) to (${end.x}, ${end.y}): obstacles block every path`);
+        }
+
+        return candidates.reduce((best, path) => (this.getPathCost(path) < this.getPathCost(best) ? path : best));
+    }
+
+    // Visibility graph: start, end and the tangent polygon vertices of every obstacle the leg's altitudes could hit.
+    // Circles are replaced by circumscribed 16-gons rather than their exact tangent points, so a path around a circle
+    // is the shortest around that polygon and may be up to about 2% longer than the true shortest path around the circle.
+    // A path no longer than bound only uses vertices v with |v - start| + |v - end| <= bound, so the graph starts with
+    // the vertices in that ellipse and the bound doubles until the path found fits inside it.
+    findPathAround(start, end) {
+        const band = getAltitudeBand(new LineSegment(start, end));
+        const footprint = [new Waypoint(start.x, start.y), new Waypoint(end.x, end.y)];
+        const direct = start.horizontalDistanceTo(end);
+        const index = this.getSpatialIndex();
+        // The bound is a horizontal path length: a path longer than it costs at least bound * costPerMetre, so once the
+        // best path found costs less than that, obstacles beyond the bound cannot improve on it
+        const costPerMetre = this.getMinCostPerMetre();
+        const directBound = this.getSegmentCost(...footprint) / costPerMetre;
+        let bound = direct > 0 && costPerMetre > 0 ? 1.5 * (isFinite(directBound) ? directBound : direct) : Infinity;
+        let path;
+
+        while (true) {
+            const nodes = footprint.slice();
+            const centre = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+            const candidates = isFinite(bound) ? index.queryPoint(centre, bound / 2) : this.obstacles;
+            let pruned = candidates.length < this.obstacles.length;
+
+            for (const obstacle of candidates) {
+                if (!overlapsAltitudeBand(obstacle, band, this.getClearance(obstacle))) {
+                    continue;
+                }
+
+                if (!this.visibilityVertices.has(obstacle)) {
+                    this.visibilityVertices.set(obstacle, obstacle.getVisibilityVertices(this.getClearance(obstacle) + VISIBILITY_EPSILON));
+                }
+
+                for (const vertex of this.visibilityVertices.get(obstacle)) {
+                    if (vertex.horizontalDistanceTo(start) + vertex.horizontalDistanceTo(end) > bound) {
+                        pruned = true;
+                    } else if (!index.queryPoint(vertex).some(other => overlapsAltitudeBand(other, band, this.getClearance(other)) && other.containsPoint(vertex, this.getClearance(other)))) {
+                        nodes.push(vertex);
+                    }
+                }
+            }
+
+            path = this.findShortestVisiblePath(nodes, band);
+            const length = path ? this.getPathCost(path) / costPerMetre : Infinity;
+            if (!pruned || length <= bound) {
+                break;
+            }
+            bound *= 2;
+        }
+
+        if (!path) {
+            return null;
+        }
+
+        // Spread the altitude change evenly over the horizontal path
+        const horizontalLength = path.slice(1).reduce((total, waypoint, i) => total + path[i].horizontalDistanceTo(waypoint), 0);
+        let travelled = 0;
+        const route = [start];
+
+        for (let i = 1; i < path.length - 1; i++) {
+            travelled += path[i - 1].horizontalDistanceTo(path[i]);
+            const z = band ? (start.z || 0) + ((end.z || 0) - (start.z || 0)) * travelled / horizontalLength : undefined;
+            route.push(new Waypoint(path[i].x, path[i].y, z));
+        }
+
+        route.push(end);
+        return route;
+    }
+
+    // Climb vertically above every obstacle under the leg, cruise across, then descend
+    findPathOver(start, end) {
+        const footprint = new LineSegment(new Waypoint(start.x, start.y), new Waypoint(end.x, end.y));
+        const blockingObstacles = this.getSpatialIndex().querySegment(footprint).filter(obstacle => obstacle.intersectsWithLineSegment(footprint, this.getClearance(obstacle)));
+        const cruiseAltitude = Math.max(start.z || 0, end.z || 0, ...blockingObstacles.map(obstacle => obstacle.maxAltitude + this.getClearance(obstacle) + VISIBILITY_EPSILON));
+
+        if (!isFinite(cruiseAltitude) || cruiseAltitude > this.maxFlightAltitude) {
+            return null;
+        }
+
+        const path = [start];
+        if ((start.z || 0) !== cruiseAltitude) {
+            path.push(new Waypoint(start.x, start.y, cruiseAltitude));
+        }
+        if ((end.z || 0) !== cruiseAltitude) {
+            path.push(new Waypoint(end.x, end.y, cruiseAltitude));
+        }
+        path.push(end);
+
+        for (let i = 0; i < path.length - 1; i++) {
+            if (!this.isSafeRoute(new LineSegment(path[i], path[i + 1]))) {
+                return null;
+            }
+        }
+        return path;
+    }
+
+    // Dijkstra from nodes[0] to nodes[1], testing edge visibility lazily
+    findShortestVisiblePath(nodes, altitudeBand) {
+        const distances = nodes.map(() => Infinity);
+        const previous = nodes.map(() => -1);
+        const visited = nodes.map(() => false);
+        distances[0] = 0;
+
+        while (true) {
+            let current = -1;
+            for (let i = 0; i < nodes.length; i++) {
+                if (!visited[i] && distances[i] < Infinity && (current === -1 || distances[i] < distances[current])) {
+                    current = i;
+                }
+            }
+
+            if (current === -1 || current === 1) {
+                break;
+            }
+            visited[current] = true;
+
+            for (let i = 0; i < nodes.length; i++) {
+                if (visited[i]) {
+                    continue;
+                }
+
+                const distance = distances[current] + this.getSegmentCost(nodes[current], nodes[i]);
+                if (distance < distances[i] && this.isSafeRoute(new LineSegment(nodes[current], nodes[i], altitudeBand))) {
+                    distances[i] = distance;
+                    previous[i] = current;
+                }
+            }
+        }
+
+        if (distances[1] === Infinity) {
+            return null;
+        }
+
+        const path = [];
+        for (let i = 1; i !== -1; i = previous[i]) {
+            path.unshift(nodes[i]);
+        }
+        return path;
+    }
+
+    subdivideRoute(path) {
+        const subdividedRoute = [path[0]];
+
+        for (let i = 0; i < path.length - 1; i++) {
+            let currentWaypoint = path[i];
+            const nextWaypoint = path[i + 1];
+
+            while (currentWaypoint.distanceTo(nextWaypoint) > this.maxSegmentLength) {
+                const intermediateWaypoint = this.findIntermediateWaypoint(currentWaypoint, nextWaypoint);
+                subdividedRoute.push(intermediateWaypoint);
+
+                currentWaypoint = intermediateWaypoint;
+            }
+
+            subdividedRoute.push(nextWaypoint);
+        }
+
+        return subdividedRoute;
+    }
+
+    findIntermediateWaypoint(start, end) {
+        const ratio = this.maxSegmentLength / start.distanceTo(end);
+
+        const intermediateX = start.x + (end.x - start.x) * ratio;
+        const intermediateY = start.y + (end.y - start.y) * ratio;
+        const intermediateZ = start.z === undefined && end.z === undefined ? undefined : (start.z || 0) + ((end.z || 0) - (start.z || 0)) * ratio;
+
+        return new Waypoint(intermediateX, intermediateY, intermediateZ);
+    }
+
+    isSafeRoute(lineSegment) {
+        for (const obstacle of this.getSpatialIndex().querySegment(lineSegment)) {
+            if (obstacle.intersectsWithLineSegment(lineSegment, this.getClearance(obstacle))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Safety audit: every leg against every obstacle, flagging legs that come closer than clearance
+    // (each obstacle's own clearance when not given).
+    // Violations carry the leg index, obstacle, penetration depth into the clearance zone and the leg's closest point;
+    // clearances holds the true minimum clearance per obstacle (negative when the route passes through it).
+    validateRoute(route, clearance) {
+        const violations = [];
+        const clearances = this.obstacles.map(obstacle => ({ obstacle, minClearance: Infinity, legIndex: -1, closestPoint: null }));
+
+        for (let legIndex = 0; legIndex < route.length - 1; legIndex++) {
+            const leg = new LineSegment(route[legIndex], route[legIndex + 1]);
+
+            this.obstacles.forEach((obstacle, obstacleIndex) => {
+                const { distance, point } = obstacle.measureClearance(leg);
+                const penetrationDepth = (clearance !== undefined ? clearance : this.getClearance(obstacle)) - distance;
+
+                if (penetrationDepth > 0 || distance <= 0) {
+                    violations.push({ legIndex, obstacle, obstacleIndex, penetrationDepth, closestPoint: point, clearance: distance });
+                }
+                if (distance < clearances[obstacleIndex].minClearance) {
+                    clearances[obstacleIndex] = { obstacle, minClearance: distance, legIndex, closestPoint: point };
+                }
+            });
+        }
+
+        return { valid: violations.length === 0, violations, clearances };
+    }
+
+    // Turn a polyline route (e.g. from optimizeRoute) into Dubins curves no tighter than turnRadius.
+    // Mission waypoints are flown through; the detour corners between them are shortcut where the curve stays clear.
+    // Returns the analytic legs, a polyline sampled every options.sampleSpacing units and the total horizontal length.
+    smoothRoute(route, turnRadius, options = {}) {
+        if (!(turnRadius > 0)) {
+            throw new Error(`Turn radius must be positive, got ${turnRadius}`);
+        }
+
+        const spacing = options.sampleSpacing || turnRadius / 8;
+        const points = this.simplifyRoute(route);
+        const last = points.length - 1;
+        const isMandatory = index => index === 0 || index === last || this.waypoints.includes(points[index]);
+        const headingBetween = (from, to) => Math.atan2(to.y - from.y, to.x - from.x);
+
+        // Candidate headings at a corner: along the incoming leg, along the outgoing leg and their bisector
+        const getHeadings = index => {
+            const incoming = index > 0 ? headingBetween(points[index - 1], points[index]) : null;
+            const outgoing = index < last ? headingBetween(points[index], points[index + 1]) : null;
+            if (incoming === null || outgoing === null) {
+                return [incoming === null ? outgoing : incoming];
+            }
+
+            const bisector = Math.atan2(Math.sin(incoming) + Math.sin(outgoing), Math.cos(incoming) + Math.cos(outgoing));
+            return [bisector, incoming, outgoing];
+        };
+
+        const legs = [];
+        const polyline = [points[0]];
+        let index = 0;
+        let pose = { x: points[0].x, y: points[0].y, heading: getHeadings(0)[0] };
+
+        while (index < last) {
+            let nextMandatory = index + 1;
+            while (!isMandatory(nextMandatory)) {
+                nextMandatory++;
+            }
+
+            let best = null;
+            for (let target = nextMandatory; target > index && !best; target--) {
+                for (const heading of getHeadings(target)) {
+                    const end = { x: points[target].x, y: points[target].y, heading };
+                    const clear = DubinsPath.candidates(pose, end, turnRadius)
+                        .map(path => ({ path, samples: this.sampleDubinsPath(path, points[index], points[target], spacing) }))
+                        .find(({ samples }) => samples.slice(1).every((sample, i) => this.isSafeRoute(new LineSegment(samples[i], sample))));
+
+                    if (clear && (!best || clear.path.length < best.path.length)) {
+                        best = { ...clear, target, end };
+                    }
+                }
+            }
+
+            if (!best) {
+                throw new Error(`No flyable curve with turn radius ${turnRadius} from (${points[index].x}, ${points[index].y}): obstacles are too close`);
+            }
+
+            legs.push({ type: best.path.word, start: pose, end: best.end, radius: turnRadius, length: best.path.length, pieces: best.path.getPieces() });
+            polyline.push(...best.samples.slice(1));
+            pose = best.end;
+            index = best.target;
+        }
+
+        return { legs, polyline, length: legs.reduce((total, leg) => total + leg.length, 0) };
+    }
+
+    // Drop repeated points and straight-through points that are not mission waypoints (e.g. subdivision steps)
+    simplifyRoute(route) {
+        const points = route.filter((point, i) => i === 0 || point.distanceTo(route[i - 1]) > 0);
+
+        return points.filter((point, i) => {
+            if (i === 0 || i === points.length - 1 || this.waypoints.includes(point)) {
+                return true;
+            }
+            const previous = points[i - 1];
+            const next = points[i + 1];
+            const cross = (point.x - previous.x) * (next.y - point.y) - (point.y - previous.y) * (next.x - point.x);
+            const dot = (point.x - previous.x) * (next.x - point.x) + (point.y - previous.y) * (next.y - point.y);
+            return Math.abs(cross) > VISIBILITY_EPSILON || dot < 0 || (point.z || 0) !== (previous.z || 0) + ((next.z || 0) - (previous.z || 0)) * previous.horizontalDistanceTo(point) / previous.horizontalDistanceTo(next);
+        });
+    }
+
+    // Dubins samples as waypoints, with altitude spread evenly from start to end; the end is the exact target
+    sampleDubinsPath(path, start, end, spacing) {
+        const hasAltitude = start.z !== undefined || end.z !== undefined;
+        const samples = path.toPolyline(spacing).map((pose, i, poses) => {
+            const z = hasAltitude ? (start.z || 0) + ((end.z || 0) - (start.z || 0)) * i / (poses.length - 1) : undefined;
+            return new Waypoint(pose.x, pose.y, z);
+        });
+
+        samples[0] = start;
+        samples[samples.length - 1] = end;
+        return samples;
+    }
+
+    getDirection(startWaypoint, endWaypoint) {
+        const angle = Math.atan2(endWaypoint.y - startWaypoint.y, endWaypoint.x - startWaypoint.x);
+        if (angle > 0 && angle < Math.PI / 2) {
+            return "NE";
+        } else if (angle > Math.PI / 2 && angle < Math.PI) {
+            return "SE";
+        } else if (angle > -Math.PI && angle < -Math.PI / 2) {
+            return "SW";
+        } else if (angle > -Math.PI / 2 && angle < 0) {
+            return "NW";
+        } else if (angle === 0) {
+            return "E";
+        } else if (angle === Math.PI / 2) {
+            return "N";
+        } else if (angle === -Math.PI / 2) {
+            return "S";
+        } else if (angle === Math.PI) {
+            return "W";
+        }
+    }
+
+    // Character-cell view of the route, north up. Cells are twice as tall as wide so distances keep their aspect;
+    // options: width / height in characters, padding in planning units, colour for ANSI output, legs: false to hide legs.
+    renderTerminal(route, options = {}) {
+        const width = options.width || TERMINAL_DEFAULT_WIDTH;
+        const bounds = this.getRenderBounds(route);
+        const span = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) || 1;
+        const padding = options.padding !== undefined ? options.padding : span * 0.05;
+        let minX = bounds.minX - padding;
+        let maxX = bounds.maxX + padding;
+        let minY = bounds.minY - padding;
+        let maxY = bounds.maxY + padding;
+
+        // Widen the shorter side around its centre so one cell covers cellSize x (2 * cellSize) in either direction
+        const cellSize = Math.max((maxX - minX) / width, options.height ? (maxY - minY) / (2 * options.height) : 0) || span / width;
+        const height = options.height || Math.max(1, Math.ceil((maxY - minY) / (2 * cellSize)));
+        const centreX = (minX + maxX) / 2;
+        const centreY = (minY + maxY) / 2;
+        minX = centreX - width * cellSize / 2;
+        maxX = centreX + width * cellSize / 2;
+        minY = centreY - height * cellSize;
+        maxY = centreY + height * cellSize;
+
+        const toColumn = x => Math.min(width - 1, Math.max(0, Math.floor((x - minX) / cellSize)));
+        const toRow = y => Math.min(height - 1, Math.max(0, Math.floor((maxY - y) / (2 * cellSize))));
+        const cellCentre = (column, row) => ({ x: minX + (column + 0.5) * cellSize, y: maxY - (row + 0.5) * 2 * cellSize });
+        const grid = Array.from({ length: height }, () => Array(width).fill(" "));
+
+        for (let row = 0; row < height; row++) {
+            for (let column = 0; column < width; column++) {
+                const point = cellCentre(column, row);
+                const candidates = this.getSpatialIndex().queryPoint(point);
+                if (candidates.some(obstacle => obstacle.containsPoint(point))) {
+                    grid[row][column] = TERMINAL_SYMBOLS.obstacle;
+                } else if (candidates.some(obstacle => obstacle.containsPoint(point, this.getClearance(obstacle)))) {
+                    grid[row][column] = TERMINAL_SYMBOLS.clearance;
+                }
+            }
+        }
+        // Obstacles smaller than a cell still show up at their centre
+        this.obstacles.forEach(obstacle => {
+            grid[toRow(obstacle.y)][toColumn(obstacle.x)] = TERMINAL_SYMBOLS.obstacle;
+        });
+
+        if (options.legs !== false) {
+            for (let i = 0; i < route.length - 1; i++) {
+                const start = route[i];
+                const end = route[i + 1];
+                const steps = Math.max(1, Math.ceil(start.horizontalDistanceTo(end) / (cellSize / 2)));
+                for (let step = 0; step <= steps; step++) {
+                    const x = start.x + (end.x - start.x) * step / steps;
+                    const y = start.y + (end.y - start.y) * step / steps;
+                    grid[toRow(y)][toColumn(x)] = TERMINAL_SYMBOLS.leg;
+                }
+            }
+        }
+
+        // Mandatory waypoints carry their visit order (1-9, then a-z, then W), other route points a via marker
+        const numbered = new Set();
+        route.forEach(point => {
+            const row = toRow(point.y);
+            const column = toColumn(point.x);
+            if (!this.waypoints.includes(point)) {
+                if (grid[row][column] === TERMINAL_SYMBOLS.leg || options.legs === false) {
+                    grid[row][column] = TERMINAL_SYMBOLS.via;
+                }
+            } else if (!numbered.has(point)) {
+                numbered.add(point);
+                grid[row][column] = numbered.size < 36 ? numbered.size.toString(36) : TERMINAL_SYMBOLS.waypoint;
+            }
+        });
+
+        const paint = cell => {
+            if (!options.colour || cell === " ") {
+                return cell;
+            }
+            const colour = Object.keys(TERMINAL_SYMBOLS).find(kind => TERMINAL_SYMBOLS[kind] === cell) || "waypoint";
+            return `${TERMINAL_COLOURS[colour]}${cell}\x1b[0m`;
+        };
+
+        // Axis labels: y values down the left gutter every few rows, x values under the frame every few columns
+        const decimals = Math.max(0, -Math.floor(Math.log10(cellSize)));
+        const formatLabel = value => value.toFixed(decimals).replace(/^-(0\.?0*)$/, "$1");
+        const yLabels = grid.map((_, row) => (row % 5 === 0 || row === height - 1 ? formatLabel(cellCentre(0, row).y) : ""));
+        const gutter = Math.max(...yLabels.map(label => label.length));
+        const lines = grid.map((cells, row) => `${yLabels[row].padStart(gutter)} |${cells.map(paint).join("")}|`);
+        lines.push(`${" ".repeat(gutter)} +${"-".repeat(width)}+`);
+
+        let xAxis = "";
+        for (let column = 0; column < width; column += 10) {
+            const label = formatLabel(cellCentre(column, 0).x);
+            xAxis = `${xAxis.padEnd(column)}${label}`.slice(0, Math.max(column + label.length, xAxis.length));
+        }
+        lines.push(`${" ".repeat(gutter + 2)}${xAxis}`);
+        const waypointLegend = numbered.size < 36 ? "1-9,a-z" : `1-9,a-z then ${paint(TERMINAL_SYMBOLS.waypoint)}`;
+        lines.push(`${" ".repeat(gutter + 2)}${waypointLegend} waypoints  ${paint(TERMINAL_SYMBOLS.leg)} leg  ${paint(TERMINAL_SYMBOLS.via)} via  ${paint(TERMINAL_SYMBOLS.obstacle)} obstacle  ${paint(TERMINAL_SYMBOLS.clearance)} clearance  (1 column = ${Number(cellSize.toPrecision(3))}${this.projection ? " m" : ""})`);
+
+        return lines.join("\n");
+    }
+
+    printTerminalView(route, options = {}) {
+        console.log(this.renderTerminal(route, options));
+    }
+
+    visualizeRouteAsAsciiArt(route, options = {}) {
+        console.log("Route Visualization:");
+        this.printTerminalView(route, options);
+    }
+
+    // Planning-frame box holding the route and every obstacle with its clearance, grown by padding on each side
+    getRenderBounds(route, padding = 0) {
+        const boxes = route.map(point => ({ minX: point.x, maxX: point.x, minY: point.y, maxY: point.y }));
+        this.obstacles.forEach(obstacle => {
+            const clearance = this.getClearance(obstacle);
+            const points = obstacle.vertices || [{ x: obstacle.x - obstacle.radius, y: obstacle.y - obstacle.radius }, { x: obstacle.x + obstacle.radius, y: obstacle.y + obstacle.radius }];
+            points.forEach(point => boxes.push({ minX: point.x - clearance, maxX: point.x + clearance, minY: point.y - clearance, maxY: point.y + clearance }));
+        });
+
+        return {
+            minX: Math.min(...boxes.map(box => box.minX)) - padding,
+            maxX: Math.max(...boxes.map(box => box.maxX)) + padding,
+            minY: Math.min(...boxes.map(box => box.minY)) - padding,
+            maxY: Math.max(...boxes.map(box => box.maxY)) + padding,
+        };
+    }
+
+    // Top-down SVG of the route, north up and scaled to fit options.width pixels. Obstacles are drawn to scale with
+    // their clearance buffer, mandatory waypoints are numbered in visiting order and each leg carries a direction arrow.
+    renderSvg(route, options = {}) {
+        const width = options.width || SVG_DEFAULT_WIDTH;
+        const units = options.units || (this.projection ? "m" : "units");
+        const bounds = this.getRenderBounds(route);
+        const span = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) || 1;
+        const padding = span * 0.05;
+        const minX = bounds.minX - padding;
+        const maxX = Math.max(bounds.maxX, bounds.minX + span * 0.1) + padding;
+        const minY = bounds.minY - padding;
+        const maxY = Math.max(bounds.maxY, bounds.minY + span * 0.1) + padding;
+
+        const scale = (width - 2 * SVG_MARGIN) / (maxX - minX);
+        const plotHeight = (maxY - minY) * scale;
+        const height = plotHeight + 2 * SVG_MARGIN + SVG_LEGEND_HEIGHT;
+        const round = value => Number(value.toFixed(2));
+        const toX = x => round(SVG_MARGIN + (x - minX) * scale);
+        const toY = y => round(SVG_MARGIN + (maxY - y) * scale);
+        const toPoints = points => points.map(point => `${toX(point.x)},${toY(point.y)}`).join(" ");
+        const elements = [];
+
+        // Grid lines and axis labels
+        const step = getTickStep(Math.max(maxX - minX, maxY - minY), 8);
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        for (let x = Math.ceil(minX / step) * step; x <= maxX; x += step) {
+            elements.push(`<line class="grid" x1="${toX(x)}" y1="${toY(minY)}" x2="${toX(x)}" y2="${toY(maxY)}"/>`);
+            elements.push(`<text class="axis" x="${toX(x)}" y="${round(toY(minY) + 16)}" text-anchor="middle">${x.toFixed(decimals)}</text>`);
+        }
+        for (let y = Math.ceil(minY / step) * step; y <= maxY; y += step) {
+            elements.push(`<line class="grid" x1="${toX(minX)}" y1="${toY(y)}" x2="${toX(maxX)}" y2="${toY(y)}"/>`);
+            elements.push(`<text class="axis" x="${round(toX(minX) - 6)}" y="${round(toY(y) + 4)}" text-anchor="end">${y.toFixed(decimals)}</text>`);
+        }
+        elements.push(`<rect class="frame" x="${SVG_MARGIN}" y="${SVG_MARGIN}" width="${round(width - 2 * SVG_MARGIN)}" height="${round(plotHeight)}"/>`);
+        elements.push(`<text class="axis" x="${round(width / 2)}" y="${round(toY(minY) + 34)}" text-anchor="middle">x (${escapeXml(units)})</text>`);
+        elements.push(`<text class="axis" x="14" y="${round(SVG_MARGIN + plotHeight / 2)}" text-anchor="middle" transform="rotate(-90 14 ${round(SVG_MARGIN + plotHeight / 2)})">y (${escapeXml(units)})</text>`);
+
+        // The buffer is the band up to clearance outside the outline. A circle is stroked clearance wide at radius plus
+        // half the clearance; a polygon is stroked twice as wide with round joins and masked to its outside.
+        this.obstacles.forEach((obstacle, index) => {
+            const clearance = this.getClearance(obstacle);
+            if (obstacle.vertices) {
+                const points = toPoints(obstacle.vertices);
+                if (clearance > 0) {
+                    elements.push(`<mask id="outside-${index}"><rect width="${width}" height="${round(height)}" fill="white"/><polygon points="${points}" fill="black"/></mask>`);
+                    elements.push(`<polygon points="${points}" class="clearance" stroke-width="${round(2 * clearance * scale)}" mask="url(#outside-${index})"/>`);
+                }
+                elements.push(`<polygon points="${points}" class="obstacle"/>`);
+                return;
+            }
+
+            const circle = (radius, attributes) => `<circle cx="${toX(obstacle.x)}" cy="${toY(obstacle.y)}" r="${round(radius * scale)}" ${attributes}/>`;
+            if (clearance > 0) {
+                elements.push(circle(obstacle.radius + clearance / 2, `class="clearance" stroke-width="${round(clearance * scale)}"`));
+            }
+            elements.push(circle(obstacle.radius, `class="obstacle"`));
+        });
+
+        elements.push(`<polyline class="route" points="${toPoints(route)}"/>`);
+        for (let i = 0; i < route.length - 1; i++) {
+            const start = route[i];
+            const end = route[i + 1];
+            const length = Math.hypot(toX(end.x) - toX(start.x), toY(end.y) - toY(start.y));
+            if (length < 12) {
+                continue;
+            }
+            const angle = Math.atan2(toY(end.y) - toY(start.y), toX(end.x) - toX(start.x)) * 180 / Math.PI;
+            const midX = round((toX(start.x) + toX(end.x)) / 2);
+            const midY = round((toY(start.y) + toY(end.y)) / 2);
+            elements.push(`<polygon class="arrow" points="-5,-4 5,0 -5,4" transform="translate(${midX} ${midY}) rotate(${round(angle)})"/>`);
+        }
+
+        const numbered = new Set();
+        route.forEach(point => {
+            if (!this.waypoints.includes(point) || numbered.has(point)) {
+                if (!this.waypoints.includes(point)) {
+                    elements.push(`<circle class="via" cx="${toX(point.x)}" cy="${toY(point.y)}" r="2.5"/>`);
+                }
+                return;
+            }
+            numbered.add(point);
+            elements.push(`<circle class="waypoint" cx="${toX(point.x)}" cy="${toY(point.y)}" r="9"/>`);
+            elements.push(`<text class="label" x="${toX(point.x)}" y="${round(toY(point.y) + 4)}" text-anchor="middle">${numbered.size}</text>`);
+        });
+
+        const legendY = round(height - SVG_LEGEND_HEIGHT / 2);
+        const legend = [
+            ["route", `<line class="route" x1="0" y1="0" x2="24" y2="0"/>`, "Route"],
+            ["waypoint", `<circle class="waypoint" cx="12" cy="0" r="6"/>`, "Waypoint (visit order)"],
+            ["obstacle", `<rect class="obstacle" x="4" y="-7" width="16" height="14"/>`, "Obstacle"],
+            ["clearance", `<rect class="clearance" x="4" y="-7" width="16" height="14" stroke-width="4"/>`, "Clearance buffer"],
+        ];
+        legend.forEach(([, symbol, label], index) => {
+            elements.push(`<g transform="translate(${SVG_MARGIN + index * 170} ${legendY})">${symbol}<text class="axis" x="30" y="4">${label}</text></g>`);
+        });
+        if (options.title) {
+            elements.push(`<text class="title" x="${round(width / 2)}" y="24" text-anchor="middle">${escapeXml(options.title)}</text>`);
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${round(height)}" viewBox="0 0 ${width} ${round(height)}">
+<style>
+.grid { stroke: #e0e0e0; stroke-width: 1; }
+.frame { fill: none; stroke: #888888; }
+.axis { font: 12px sans-serif; fill: #444444; }
+.title { font: bold 16px sans-serif; fill: #222222; }
+.obstacle { fill: #d9534f; fill-opacity: 0.6; stroke: #a94442; }
+.clearance { fill: none; stroke: #f0ad4e; stroke-opacity: 0.35; stroke-linejoin: round; }
+.route { fill: none; stroke: #0275d8; stroke-width: 2; }
+.arrow { fill: #0275d8; }
+.via { fill: #0275d8; }
+.waypoint { fill: #ffffff; stroke: #0275d8; stroke-width: 2; }
+.label { font: bold 11px sans-serif; fill: #0275d8; }
+</style>
+${elements.join("\n")}
+</svg>
+`;
+    }
+
+    saveSvg(path, route, options = {}) {
+        fs.writeFileSync(path, this.renderSvg(route, options));
+    }
+
+    formatWaypoint(waypoint) {
+        if (this.projection) {
+            const geoWaypoint = this.projection.toGeodetic(waypoint);
+            const altitude = waypoint.z === undefined ? "" : `, ${waypoint.z.toFixed(1)} m`;
+            return `(${geoWaypoint.latitude.toFixed(7)}, ${geoWaypoint.longitude.toFixed(7)}${altitude})`;
+        }
+        if (waypoint.z === undefined) {
+            return `(${waypoint.x}, ${waypoint.y})`;
+        }
+        return `(${waypoint.x}, ${waypoint.y}, ${waypoint.z})`;
+    }
+
+    // Geodesic metres for georeferenced missions, plain Cartesian distance otherwise
+    getReportedDistance(start, end) {
+        if (this.projection) {
+            return this.projection.toGeodetic(start).vincentyDistanceTo(this.projection.toGeodetic(end));
+        }
+        return start.distanceTo(end);
+    }
+
+    getGroundSpeedLabel(start, end) {
+        const horizontalDistance = start.horizontalDistanceTo(end);
+        if (horizontalDistance === 0) {
+            return "-";
+        }
+
+        const time = this.windField.getTravelTime(start, end, this.cruiseSpeed);
+        return isFinite(time) ? (horizontalDistance / time).toFixed(2) : "unflyable";
+    }
+
+    visualizeRoute(route) {
+        console.log("Optimized Route:");
+        const etas = this.cruiseSpeed ? this.generateTrajectory(route).etas.map(({ eta }) => eta) : null;
+        let totalDistance = 0;
+        for (let i = 0; i < route.length - 1; i++) {
+            const currentWaypoint = route[i];
+            const nextWaypoint = route[i + 1];
+            const distance = this.getReportedDistance(currentWaypoint, nextWaypoint);
+            totalDistance += distance;
+            const groundSpeed = this.windField && this.cruiseSpeed ? ` | Ground Speed: ${this.getGroundSpeedLabel(currentWaypoint, nextWaypoint)}` : "";
+            const duration = etas ? ` | Duration: ${(etas[i + 1] - etas[i]).toFixed(2)}s` : "";
+            console.log(`Waypoint ${i + 1} -> Waypoint ${i + 2}: ${this.formatWaypoint(currentWaypoint)} -> ${this.formatWaypoint(nextWaypoint)} | Distance: ${distance.toFixed(2)}${this.projection ? " m" : ""}${duration} | Direction: ${this.getDirection(currentWaypoint, nextWaypoint)}${groundSpeed}`);
+        }
+        console.log(`Total Distance: ${totalDistance.toFixed(2)}${this.projection ? " m" : ""}`);
+        if (etas) {
+            console.log(`Total Mission Time: ${(etas[etas.length - 1] - etas[0]).toFixed(2)}s`);
+        }
+        console.log(`Number of Waypoints: ${route.length}`);
+
+        const audit = this.validateRoute(route);
+        const violatedObstacles = new Set(audit.violations.map(violation => violation.obstacle));
+        console.log(`Number of Obstacles Avoided: ${this.obstacles.length - violatedObstacles.size} of ${this.obstacles.length}`);
+        audit.violations.forEach(({ legIndex, obstacle, penetrationDepth, closestPoint }) => {
+            console.log(`Violation: leg ${legIndex + 1} enters obstacle at (${obstacle.x}, ${obstacle.y}) by ${penetrationDepth.toFixed(2)} near ${this.formatWaypoint(closestPoint)}`);
+        });
+
+        this.visualizeRouteAsAsciiArt(route);
+    }
+
+    printAsciiArt(route, options = {}) {
+        console.log("ASCII Art:");
+        this.printTerminalView(route, options);
+    }
+
+    // Waypoints and obstacles only, without the legs between them
+    printTopDownView(route, options = {}) {
+        console.log("Top-Down View:");
+        this.printTerminalView(route, { ...options, legs: false });
+    }
+
+    getExportProjection(options) {
+        return options.origin ? new LocalProjection(options.origin) : this.projection;
+    }
+
+    // Route, waypoints and obstacles as format-neutral features. Coordinates are [x, y, z] in the planning frame,
+    // or [longitude, latitude, altitude] when options.origin is given or the optimizer was built with fromGeodetic.
+    getExportFeatures(route, options = {}) {
+        const projection = this.getExportProjection(options);
+        const toCoordinates = point => {
+            if (projection) {
+                const geodetic = projection.toGeodetic(point);
+                return geodetic.altitude !== undefined ? [geodetic.longitude, geodetic.latitude, geodetic.altitude] : [geodetic.longitude, geodetic.latitude];
+            }
+            return point.z !== undefined ? [point.x, point.y, point.z] : [point.x, point.y];
+        };
+        // Exterior rings run counter-clockwise and repeat their first position at the end
+        const toRing = vertices => {
+            const signedArea = vertices.reduce((sum, vertex, i) => sum + vertex.x * vertices[(i + 1) % vertices.length].y - vertices[(i + 1) % vertices.length].x * vertex.y, 0);
+            const ordered = signedArea < 0 ? vertices.slice().reverse() : vertices;
+            return [...ordered, ordered[0]].map(toCoordinates);
+        };
+
+        const etas = this.cruiseSpeed ? this.generateTrajectory(route).etas : null;
+        const features = [{ kind: "route", geometry: { type: "LineString", coordinates: route.map(toCoordinates) }, properties: { name: "Route", length: this.getPathLength(route) } }];
+
+        const visited = new Set();
+        route.forEach((point, index) => {
+            if (!this.waypoints.includes(point) || visited.has(point)) {
+                return;
+            }
+            visited.add(point);
+            features.push({
+                kind: "waypoint",
+                geometry: { type: "Point", coordinates: toCoordinates(point) },
+                properties: { name: `Waypoint ${visited.size}`, order: visited.size, eta: etas ? etas[index].eta : null },
+            });
+        });
+
+        this.obstacles.forEach((obstacle, index) => {
+            const vertices = obstacle.vertices || Array.from({ length: EXPORT_CIRCLE_SEGMENTS }, (_, i) => {
+                const angle = 2 * Math.PI * i / EXPORT_CIRCLE_SEGMENTS;
+                return new Waypoint(obstacle.x + obstacle.radius * Math.cos(angle), obstacle.y + obstacle.radius * Math.sin(angle));
+            });
+            const properties = { name: `Obstacle ${index + 1}`, clearance: this.getClearance(obstacle) };
+            if (obstacle.radius !== undefined) {
+                properties.radius = obstacle.radius;
+            }
+            if (isFinite(obstacle.minAltitude)) {
+                properties.minAltitude = obstacle.minAltitude;
+            }
+            if (isFinite(obstacle.maxAltitude)) {
+                properties.maxAltitude = obstacle.maxAltitude;
+            }
+            features.push({ kind: "obstacle", geometry: { type: "Polygon", coordinates: [toRing(vertices)] }, properties });
+        });
+
+        return features;
+    }
+
+    exportGeoJSON(route, options = {}) {
+        return {
+            type: "FeatureCollection",
+            features: this.getExportFeatures(route, options).map(({ kind, geometry, properties }) => ({ type: "Feature", geometry, properties: { kind, ...properties } })),
+        };
+    }
+
+    exportKML(route, options = {}) {
+        const toKmlCoordinates = coordinates => coordinates.map(position => position.join(",")).join(" ");
+        const geometries = {
+            LineString: geometry => `<LineString><coordinates>${toKmlCoordinates(geometry.coordinates)}</coordinates></LineString>`,
+            Point: geometry => `<Point><coordinates>${geometry.coordinates.join(",")}</coordinates></Point>`,
+            Polygon: geometry => `<Polygon><outerBoundaryIs><LinearRing><coordinates>${toKmlCoordinates(geometry.coordinates[0])}</coordinates></LinearRing></outerBoundaryIs></Polygon>`,
+        };
+
+        const placemarks = this.getExportFeatures(route, options).map(({ kind, geometry, properties }) => {
+            const data = Object.entries(properties)
+                .filter(([key, value]) => key !== "name" && value !== null)
+                .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+                .join("");
+            return `    <Placemark>
+      <name>${escapeXml(properties.name)}</name>
+      <styleUrl>#${kind}</styleUrl>
+      <ExtendedData>${data}</ExtendedData>
+      ${geometries[geometry.type](geometry)}
+    </Placemark>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(options.name || "DronePath route")}</name>
+    <Style id="route"><LineStyle><color>ff0000ff</color><width>3</width></LineStyle></Style>
+    <Style id="waypoint"><IconStyle><scale>1</scale></IconStyle></Style>
+    <Style id="obstacle"><LineStyle><color>ff000000</color></LineStyle><PolyStyle><color>7f0000ff</color></PolyStyle></Style>
+${placemarks.join("\n")}
+  </Document>
+</kml>
+`;
+    }
+
+    // GPX 1.1: mandatory waypoints as <wpt> with their ETA, the whole route as one <rte>. GPX has no local frame,
+    // so like the autopilot export it needs options.origin or an optimizer built with fromGeodetic.
+    exportGPX(route, options = {}) {
+        if (!this.getExportProjection(options)) {
+            throw new Error("GPX export needs geodetic coordinates: pass options.origin or use RouteOptimizer.fromGeodetic");
+        }
+
+        const features = this.getExportFeatures(route, options);
+        const toPoint = (tag, [longitude, latitude, altitude], children) => {
+            const content = `${altitude !== undefined ? `<ele>${altitude}</ele>` : ""}${children}`;
+            return content ? `<${tag} lat="${latitude}" lon="${longitude}">${content}</${tag}>` : `<${tag} lat="${latitude}" lon="${longitude}"/>`;
+        };
+        const waypoints = features.filter(feature => feature.kind === "waypoint").map(({ geometry, properties }) => {
+            const eta = properties.eta !== null ? `<desc>ETA ${properties.eta.toFixed(1)}s</desc>` : "";
+            return `  ${toPoint("wpt", geometry.coordinates, `<name>${escapeXml(properties.name)}</name>${eta}`)}`;
+        });
+        const routePoints = features.find(feature => feature.kind === "route").geometry.coordinates.map(position => `    ${toPoint("rtept", position, "")}`);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="DronePath" xmlns="http://www.topografix.com/GPX/1/1">
+${waypoints.join("\n")}
+  <rte>
+    <name>${escapeXml(options.name || "DronePath route")}</name>
+${routePoints.join("\n")}
+  </rte>
+</gpx>
+`;
+    }
+
+    // Write a route export, picking GeoJSON, KML or GPX from the file extension
+    saveRouteExport(path, route, options = {}) {
+        if (/\.kml$/i.test(path)) {
+            fs.writeFileSync(path, this.exportKML(route, options));
+        } else if (/\.gpx$/i.test(path)) {
+            fs.writeFileSync(path, this.exportGPX(route, options));
+        } else if (/\.(geo)?json$/i.test(path)) {
+            fs.writeFileSync(path, `${JSON.stringify(this.exportGeoJSON(route, options), null, 2)}\n`);
+        } else {
+            throw new Error(`Unknown export format for ${path}, expected a .geojson, .json, .kml or .gpx file`);
+        }
+    }
+
+    // MAVLink mission items for the route: takeoff over home, one NAV_WAYPOINT per route point and return-to-launch
+    // when the route closes on home. Altitudes are relative to home: z where the route has it, options.altitude elsewhere.
+    getAutopilotItems(route, options = {}) {
+        const projection = this.getExportProjection(options);
+        if (!projection) {
+            throw new Error("Autopilot export needs geodetic coordinates: pass options.origin or use RouteOptimizer.fromGeodetic");
+        }
+        if (route.length < 2) {
+            throw new Error("Autopilot export needs a route with at least two points");
+        }
+
+        const cruiseAltitude = options.altitude !== undefined ? options.altitude : DEFAULT_MISSION_ALTITUDE;
+        const toItem = (command, point) => {
+            const geodetic = projection.toGeodetic(point);
+            const altitude = point.z !== undefined ? point.z : cruiseAltitude;
+            return { command, frame: MAV_FRAME_GLOBAL_RELATIVE_ALT, params: [0, 0, 0, 0], latitude: geodetic.latitude, longitude: geodetic.longitude, altitude };
+        };
+        const home = route[0];
+        const last = route[route.length - 1];
+        const returnsHome = route.length > 2 && last.x === home.x && last.y === home.y;
+        const legs = route.slice(1, returnsHome ? -1 : undefined);
+
+        const takeoff = toItem(MAV_CMD_NAV_TAKEOFF, home);
+        takeoff.altitude = options.takeoffAltitude !== undefined ? options.takeoffAltitude : toItem(MAV_CMD_NAV_WAYPOINT, legs[0]).altitude;
+        const items = [takeoff, ...legs.map(point => toItem(MAV_CMD_NAV_WAYPOINT, point))];
+        if (returnsHome) {
+            items.push({ command: MAV_CMD_NAV_RETURN_TO_LAUNCH, frame: MAV_FRAME_MISSION, params: [0, 0, 0, 0], latitude: 0, longitude: 0, altitude: 0 });
+        }
+
+        const origin = projection.toGeodetic(new Waypoint(home.x, home.y));
+        return { home: { latitude: origin.latitude, longitude: origin.longitude, altitude: projection.origin.altitude || 0 }, items };
+    }
+
+    // QGroundControl .plan document with the mission and the obstacles as exclusion geofence polygons
+    exportQGCPlan(route, options = {}) {
+        const firmware = options.firmware || "ardupilot";
+        if (MAV_AUTOPILOTS[firmware] === undefined) {
+            throw new Error(`Unknown firmware "${firmware}", expected one of: ${Object.keys(MAV_AUTOPILOTS).join(", ")}`);
+        }
+
+        const { home, items } = this.getAutopilotItems(route, options);
+        const speed = this.cruiseSpeed !== undefined ? this.cruiseSpeed : 5;
+        const fences = this.getExportFeatures(route, options).filter(feature => feature.kind === "obstacle");
+
+        return {
+            fileType: "Plan",
+            geoFence: {
+                circles: [],
+                polygons: fences.map(({ geometry }) => ({
+                    inclusion: false,
+                    polygon: geometry.coordinates[0].slice(0, -1).map(([longitude, latitude]) => [latitude, longitude]),
+                    version: 1,
+                })),
+                version: 2,
+            },
+            groundStation: "DronePath",
+            mission: {
+                cruiseSpeed: speed,
+                firmwareType: MAV_AUTOPILOTS[firmware],
+                hoverSpeed: speed,
+                items: items.map((item, index) => ({
+                    AMSLAltAboveTerrain: null,
+                    Altitude: item.altitude,
+                    AltitudeMode: 1,
+                    autoContinue: true,
+                    command: item.command,
+                    doJumpId: index + 1,
+                    frame: item.frame,
+                    params: [...item.params, item.latitude, item.longitude, item.altitude],
+                    type: "SimpleItem",
+                })),
+                plannedHomePosition: [home.latitude, home.longitude, home.altitude],
+                vehicleType: 2,
+                version: 2,
+            },
+            rallyPoints: { points: [], version: 2 },
+            version: 1,
+        };
+    }
+
+    // Legacy "QGC WPL 110" text: tab-separated rows, row 0 is the home position. It has no geofence section.
+    exportWaypointFile(route, options = {}) {
+        const { home, items } = this.getAutopilotItems(route, options);
+        const rows = [
+            [0, 1, MAV_FRAME_GLOBAL, MAV_CMD_NAV_WAYPOINT, 0, 0, 0, 0, home.latitude, home.longitude, home.altitude, 1],
+            ...items.map((item, index) => [index + 1, 0, item.frame, item.command, ...item.params, item.latitude, item.longitude, item.altitude, 1]),
+        ];
+        return `QGC WPL 110\n${rows.map(row => row.join("\t")).join("\n")}\n`;
+    }
+
+    // Write an autopilot mission, picking .plan JSON or the WPL text format from the file extension
+    saveAutopilotMission(path, route, options = {}) {
+        if (/\.plan$/i.test(path)) {
+            fs.writeFileSync(path, `${JSON.stringify(this.exportQGCPlan(route, options), null, 4)}\n`);
+        } else if (/\.(waypoints|txt)$/i.test(path)) {
+            fs.writeFileSync(path, this.exportWaypointFile(route, options));
+        } else {
+            throw new Error(`Unknown autopilot format for ${path}, expected a .plan, .waypoints or .txt file`);
+        }
+    }
+}
+
+// Splits the waypoints across several drones. Each drone is { id, depot, capacity, range }: capacity bounds the
+// summed waypoint demand (1 per waypoint unless waypoint.demand is set) and range bounds the closed tour cost.
+// options go to the shared RouteOptimizer, so they need maxSegmentLength and clearance like its constructor does.
+class FleetRouteOptimizer {
+    constructor(waypoints, obstacles, drones, options = {}) {
+        if (drones.length === 0) {
+            throw new Error("A fleet needs at least one drone");
+        }
+
+        this.waypoints = waypoints;
+        this.obstacles = obstacles;
+        this.drones = drones;
+        this.objective = options.objective || "makespan";
+
+        if (!FLEET_OBJECTIVES.includes(this.objective)) {
+            throw new Error(`Unknown fleet objective "${this.objective}", expected one of: ${FLEET_OBJECTIVES.join(", ")}`);
+        }
+
+        // One shared planner over depots and waypoints, so every drone reads the same obstacle-aware cost matrix
+        const depots = [...new Set(drones.map(drone => drone.depot))];
+        this.planner = new RouteOptimizer([...depots, ...waypoints], obstacles, options.maxSegmentLength, { ...options, strategy: "auto" });
+        this.depotIndices = drones.map(drone => depots.indexOf(drone.depot));
+        this.waypointIndices = waypoints.map((_, index) => depots.length + index);
+    }
+
+    getDemand(index) {
+        const demand = this.planner.waypoints[index].demand;
+        return demand !== undefined ? demand : 1;
+    }
+
+    getCapacity(droneIndex) {
+        const capacity = this.drones[droneIndex].capacity;
+        return capacity !== undefined ? capacity : Infinity;
+    }
+
+    getRange(droneIndex) {
+        const range = this.drones[droneIndex].range;
+        return range !== undefined ? range : Infinity;
+    }
+
+    // Lexicographic score: the chosen objective first, the other one as tie-breaker
+    scoreTourCosts(tourCosts) {
+        const makespan = Math.max(...tourCosts);
+        const totalDistance = tourCosts.reduce((total, cost) => total + cost, 0);
+        return this.objective === "makespan" ? [makespan, totalDistance] : [totalDistance, makespan];
+    }
+
+    isBetterScore(score, bestScore) {
+        if (!bestScore) {
+            return true;
+        }
+        if (Math.abs(score[0] - bestScore[0]) > VISIBILITY_EPSILON) {
+            return score[0] < bestScore[0];
+        }
+        return score[1] < bestScore[1] - VISIBILITY_EPSILON;
+    }
+
+    isFeasibleTour(tour, droneIndex, costs) {
+        const load = tour.slice(1).reduce((total, index) => total + this.getDemand(index), 0);
+        return load <= this.getCapacity(droneIndex) && this.planner.getTourCost(tour, costs) <= this.getRange(droneIndex);
+    }
+
+    // Cheapest feasible insertion of one waypoint into any drone's tour, or null
+    findBestInsertion(index, tours, tourCosts, costs) {
+        let best = null;
+
+        tours.forEach((tour, droneIndex) => {
+            for (let position = 1; position <= tour.length; position++) {
+                const candidate = [...tour.slice(0, position), index, ...tour.slice(position)];
+                if (!this.isFeasibleTour(candidate, droneIndex, costs)) {
+                    continue;
+                }
+
+                const candidateCosts = tourCosts.slice();
+                candidateCosts[droneIndex] = this.planner.getTourCost(candidate, costs);
+                const score = this.scoreTourCosts(candidateCosts);
+
+                if (this.isBetterScore(score, best && best.score)) {
+                    best = { droneIndex, tour: candidate, cost: candidateCosts[droneIndex], score };
+                }
+            }
+        });
+
+        return best;
+    }
+
+    optimizeFleet() {
+        const costs = this.planner.getCostMatrix();
+        const tours = this.drones.map((_, droneIndex) => [this.depotIndices[droneIndex]]);
+        const tourCosts = this.drones.map(() => 0);
+
+        // Greedy insertion, hardest-to-reach waypoints first
+        const distanceFromDepots = index => Math.min(...this.depotIndices.map(depot => costs[depot][index]));
+        const insertionOrder = this.waypointIndices.slice().sort((a, b) => distanceFromDepots(b) - distanceFromDepots(a));
+
+        for (const index of insertionOrder) {
+            const insertion = this.findBestInsertion(index, tours, tourCosts, costs);
+            if (!insertion) {
+                const waypoint = this.planner.waypoints[index];
+                throw new Error(`Infeasible fleet plan: no drone has the capacity and range to visit (${waypoint.x}, ${waypoint.y})`);
+            }
+
+            tours[insertion.droneIndex] = insertion.tour;
+            tourCosts[insertion.droneIndex] = insertion.cost;
+        }
+
+        this.improveFleet(tours, tourCosts, costs);
+
+        const routes = tours.map((tour, droneIndex) => this.buildDroneRoute(tour, droneIndex));
+        const distances = routes.map(route => route.distance);
+
+        return {
+            routes,
+            stats: {
+                objective: this.objective,
+                totalDistance: distances.reduce((total, distance) => total + distance, 0),
+                makespan: Math.max(...distances),
+                dronesUsed: routes.filter(route => route.waypoints.length > 0).length,
+                waypointCount: this.waypoints.length,
+            },
+        };
+    }
+
+    // Relocate waypoints between drones and 2-opt each tour until neither helps or the budget runs out
+    improveFleet(tours, tourCosts, costs) {
+        const budget = { iterations: 0, deadline: Date.now() + this.planner.timeLimit };
+        let improved = true;
+
+        while (improved && this.planner.hasBudget(budget)) {
+            improved = false;
+
+            tours.forEach((tour, droneIndex) => {
+                if (this.planner.improveTwoOpt(tour, costs, budget)) {
+                    tourCosts[droneIndex] = this.planner.getTourCost(tour, costs);
+                    improved = true;
+                }
+            });
+
+            for (let droneIndex = 0; droneIndex < tours.length; droneIndex++) {
+                for (let position = 1; position < tours[droneIndex].length; position++) {
+                    const index = tours[droneIndex][position];
+                    const reducedTours = tours.slice();
+                    const reducedCosts = tourCosts.slice();
+                    reducedTours[droneIndex] = tours[droneIndex].filter((_, i) => i !== position);
+                    reducedCosts[droneIndex] = this.planner.getTourCost(reducedTours[droneIndex], costs);
+
+                    const insertion = this.findBestInsertion(index, reducedTours, reducedCosts, costs);
+                    reducedCosts[insertion.droneIndex] = insertion.cost;
+
+                    if (this.isBetterScore(insertion.score, this.scoreTourCosts(tourCosts))) {
+                        tours[droneIndex] = reducedTours[droneIndex];
+                        tours[insertion.droneIndex] = insertion.tour;
+                        tourCosts.splice(0, tourCosts.length, ...reducedCosts);
+                        budget.iterations++;
+                        improved = true;
+                    }
+                }
+            }
+        }
+    }
+
+    buildDroneRoute(tour, droneIndex) {
+        const drone = this.drones[droneIndex];
+        const route = [drone.depot];
+
+        for (let i = 1; i <= tour.length && tour.length > 1; i++) {
+            const leg = this.planner.getLegPath(tour[i - 1], tour[i % tour.length]);
+            route.push(...this.planner.subdivideRoute(leg).slice(1));
+        }
+
+        const waypoints = tour.slice(1).map(index => this.planner.waypoints[index]);
+        return {
+            drone,
+            waypoints,
+            route,
+            distance: this.planner.getPathLength(route),
+            load: tour.slice(1).reduce((total, index) => total + this.getDemand(index), 0),
+        };
+    }
+}
+
+// JSON.parse that also records the line and column where every value starts, keyed by field path ("waypoints[2].x")
+function parseJsonWithPositions(text, source) {
+    const positions = new Map();
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === "\n") {
+            lineStarts.push(i + 1);
+        }
+    }
+
+    let index = 0;
+    const locate = offset => {
+        let line = lineStarts.length - 1;
+        while (lineStarts[line] > offset) {
+            line--;
+        }
+        return { line: line + 1, column: offset - lineStarts[line] + 1 };
+    };
+    const fail = message => {
+        const { line, column } = locate(index);
+        throw new Error(`${source}:${line}:${column}: ${message}`);
+    };
+    const skipWhitespace = () => {
+        while (index < text.length && " \t\r\n".includes(text[index])) {
+            index++;
+        }
+    };
+    const matchToken = pattern => {
+        pattern.lastIndex = index;
+        const match = pattern.exec(text);
+        if (match) {
+            index += match[0].length;
+        }
+        return match && match[0];
+    };
+    const expect = char => {
+        skipWhitespace();
+        if (text[index] !== char) {
+            fail(index < text.length ? `expected "${char}" but found "${text[index]}"` : `expected "${char}" but the file ended`);
+        }
+        index++;
+    };
+
+    const parseString = () => {
+        const token = matchToken(/"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y);
+        if (!token) {
+            fail("unterminated or invalid string");
+        }
+        return JSON.parse(token);
+    };
+
+    const parseValue = path => {
+        skipWhitespace();
+        positions.set(path, locate(index));
+
+        if (text[index] === "{") {
+            index++;
+            const result = {};
+            skipWhitespace();
+            if (text[index] === "}") {
+                index++;
+                return result;
+            }
+            while (true) {
+                skipWhitespace();
+                if (text[index] !== "\"") {
+                    fail("expected a quoted field name");
+                }
+                const key = parseString();
+                expect(":");
+                Object.defineProperty(result, key, { value: parseValue(path ? `${path}.${key}` : key), enumerable: true, writable: true, configurable: true });
+                skipWhitespace();
+                if (text[index] !== ",") {
+                    expect("}");
+                    return result;
+                }
+                index++;
+            }
+        }
+
+        if (text[index] === "[") {
+            index++;
+            const result = [];
+            skipWhitespace();
+            if (text[index] === "]") {
+                index++;
+                return result;
+            }
+            while (true) {
+                result.push(parseValue(`${path}[${result.length}]`));
+                skipWhitespace();
+                if (text[index] !== ",") {
+                    expect("]");
+                    return result;
+                }
+                index++;
+            }
+        }
+
+        if (text[index] === "\"") {
+            return parseString();
+        }
+
+        const token = matchToken(/-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y);
+        if (!token) {
+            fail(index < text.length ? `unexpected "${text[index]}"` : "unexpected end of file");
+        }
+        return JSON.parse(token);
+    };
+
+    const value = parseValue("");
+    skipWhitespace();
+    if (index < text.length) {
+        fail("unexpected content after the mission object");
+    }
+    return { value, positions };
+}
+
+// Versioned mission file: waypoints, obstacles, vehicle limits, clearance and return-to-home in one JSON document,
+// optionally with the planned route. frame "local" uses x/y/z in planning units, "geodetic" uses WGS84 degrees and metres.
+class Mission {
+    constructor(fields = {}) {
+        this.version = fields.version !== undefined ? fields.version : MISSION_FORMAT_VERSION;
+        if (fields.name !== undefined) {
+            this.name = fields.name;
+        }
+        this.frame = fields.frame || "local";
+        if (fields.origin !== undefined) {
+            this.origin = fields.origin;
+        }
+        this.waypoints = fields.waypoints || [];
+        this.obstacles = fields.obstacles || [];
+        this.vehicle = fields.vehicle || {};
+        this.clearance = fields.clearance !== undefined ? fields.clearance : 0;
+        if (fields.maxSegmentLength !== undefined) {
+            this.maxSegmentLength = fields.maxSegmentLength;
+        }
+        this.returnToHome = fields.returnToHome !== undefined ? fields.returnToHome : true;
+        if (fields.route !== undefined) {
+            this.route = fields.route;
+        }
+    }
+
+    static fromFile(path) {
+        return Mission.parse(fs.readFileSync(path, "utf8"), path);
+    }
+
+    // Reads a QGroundControl .plan or QGC WPL 110 file into a geodetic mission that can be re-optimized
+    static fromAutopilotFile(path) {
+        const text = fs.readFileSync(path, "utf8");
+        return /^QGC WPL/.test(text) ? Mission.fromWaypointFile(text, path) : Mission.fromQGCPlan(text, path);
+    }
+
+    static fromQGCPlan(text, source = "plan") {
+        let plan;
+        try {
+            plan = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${source}: ${error.message}`);
+        }
+        if (!plan || plan.fileType !== "Plan" || !plan.mission || !Array.isArray(plan.mission.items)) {
+            throw new Error(`${source}: not a QGroundControl plan (expected fileType "Plan" with mission.items)`);
+        }
+
+        const [latitude, longitude, altitude] = plan.mission.plannedHomePosition || [];
+        const items = plan.mission.items.map((item, index) => {
+            if (item.type !== "SimpleItem") {
+                throw new Error(`${source}: mission item ${index + 1} is a ${item.type}, only simple items can be imported`);
+            }
+            const [param1, param2, param3, param4, itemLatitude, itemLongitude, itemAltitude] = item.params;
+            return { command: item.command, frame: item.frame, params: [param1, param2, param3, param4], latitude: itemLatitude, longitude: itemLongitude, altitude: itemAltitude };
+        });
+
+        // Inclusion fences bound the whole flight area and have no obstacle equivalent, so only exclusions are read
+        const geoFence = plan.geoFence || {};
+        const obstacles = [
+            ...(geoFence.polygons || []).filter(fence => !fence.inclusion).map(fence => new GeoPolygonObstacle(fence.polygon.map(([vertexLatitude, vertexLongitude]) => ({ latitude: vertexLatitude, longitude: vertexLongitude })))),
+            ...(geoFence.circles || []).filter(fence => !fence.inclusion).map(fence => new GeoObstacle(fence.circle.center[0], fence.circle.center[1], fence.circle.radius)),
+        ];
+        const vehicle = plan.mission.cruiseSpeed > 0 ? { cruiseSpeed: plan.mission.cruiseSpeed } : {};
+
+        return Mission.fromAutopilotItems({ latitude, longitude, altitude: altitude || 0 }, items, { obstacles, vehicle }, source);
+    }
+
+    static fromWaypointFile(text, source = "waypoints") {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== "");
+        if (!/^QGC WPL 110\s*$/.test(lines[0] || "")) {
+            throw new Error(`${source}: missing "QGC WPL 110" header`);
+        }
+
+        const rows = lines.slice(1).map((line, index) => {
+            const fields = line.trim().split(/\s+/).map(Number);
+            if (fields.length !== 12 || fields.some(field => !Number.isFinite(field))) {
+                throw new Error(`${source}:${index + 2}: expected 12 numeric fields`);
+            }
+            return fields;
+        });
+        if (rows.length === 0 || rows[0][0] !== 0) {
+            throw new Error(`${source}: the first row must be the home position (index 0)`);
+        }
+
+        const toItem = ([, , frame, command, param1, param2, param3, param4, latitude, longitude, altitude]) => ({ command, frame, params: [param1, param2, param3, param4], latitude, longitude, altitude });
+        const home = toItem(rows[0]);
+        return Mission.fromAutopilotItems(home, rows.slice(1).map(toItem), {}, source);
+    }
+
+    // Home becomes the origin and first waypoint; altitudes are converted to metres above home like the planner's z
+    static fromAutopilotItems(home, items, fields, source) {
+        if (!Number.isFinite(home.latitude) || !Number.isFinite(home.longitude)) {
+            throw new Error(`${source}: the home position must have a latitude and longitude`);
+        }
+
+        const waypoints = [new GeoWaypoint(home.latitude, home.longitude, 0)];
+        let returnToHome = false;
+        items.forEach((item, index) => {
+            if (item.command === MAV_CMD_NAV_WAYPOINT) {
+                const altitude = item.frame === MAV_FRAME_GLOBAL ? item.altitude - home.altitude : item.altitude;
+                waypoints.push(new GeoWaypoint(item.latitude, item.longitude, altitude));
+            } else if (item.command === MAV_CMD_NAV_RETURN_TO_LAUNCH) {
+                returnToHome = true;
+            } else if (item.command !== MAV_CMD_NAV_TAKEOFF) {
+                throw new Error(`${source}: mission item ${index + 1} uses MAVLink command ${item.command}, only takeoff, waypoints and return-to-launch can be imported`);
+            }
+        });
+        if (waypoints.length < 2) {
+            throw new Error(`${source}: the mission has no waypoints to optimize`);
+        }
+
+        return new Mission({ ...fields, frame: "geodetic", origin: waypoints[0], waypoints, returnToHome });
+    }
+
+    // Validates the whole document and throws one error listing every problem as source:line:column: field message;
+    // the individual problems are on error.errors as { field, line, column, message }
+    static parse(text, source = "mission") {
+        const { value, positions } = parseJsonWithPositions(text, source);
+        const errors = [];
+
+        const join = (path, key) => (path ? `${path}.${key}` : key);
+        const report = (field, message) => {
+            let path = field;
+            while (path && !positions.has(path)) {
+                path = path.replace(/(^|\.)[^.[\]]+$|\[\d+\]$/, "");
+            }
+            errors.push({ field: field || "(root)", ...positions.get(path), message });
+        };
+        const isObject = candidate => candidate !== null && typeof candidate === "object" && !Array.isArray(candidate);
+        const checkFields = (object, path, allowed) => {
+            Object.keys(object).filter(key => !allowed.includes(key)).forEach(key => report(join(path, key), `unknown field "${key}"`));
+        };
+        const checkNumber = (object, path, key, required, isValid, description) => {
+            if (object[key] === undefined) {
+                if (required) {
+                    report(join(path, key), `is required and must be ${description}`);
+                }
+                return false;
+            }
+            if (typeof object[key] !== "number" || !isValid(object[key])) {
+                report(join(path, key), `must be ${description}, got ${JSON.stringify(object[key])}`);
+                return false;
+            }
+            return true;
+        };
+        const finite = number => Number.isFinite(number);
+        const isLatitude = number => number >= -90 && number <= 90;
+        const isLongitude = number => number >= -180 && number <= 180;
+        const positive = number => Number.isFinite(number) && number > 0;
+        const nonNegative = number => Number.isFinite(number) && number >= 0;
+
+        if (!isObject(value)) {
+            report("", "a mission must be a JSON object");
+            throw Mission.createError(source, errors);
+        }
+
+        checkFields(value, "", ["version", "name", "frame", "origin", "waypoints", "obstacles", "vehicle", "clearance", "maxSegmentLength", "returnToHome", "route"]);
+        if (value.version === undefined) {
+            report("version", `is required; this loader reads version ${MISSION_FORMAT_VERSION}`);
+        } else if (value.version !== MISSION_FORMAT_VERSION) {
+            report("version", `unsupported version ${JSON.stringify(value.version)}; this loader reads version ${MISSION_FORMAT_VERSION}`);
+        }
+        if (value.name !== undefined && typeof value.name !== "string") {
+            report("name", "must be a string");
+        }
+        const frame = value.frame !== undefined ? value.frame : "local";
+        if (!MISSION_FRAMES.includes(frame)) {
+            report("frame", `must be one of: ${MISSION_FRAMES.join(", ")}`);
+        }
+        const isGeodetic = frame === "geodetic";
+
+        const checkPoint = (point, path, extraFields = []) => {
+            if (!isObject(point)) {
+                report(path, "must be an object");
+                return;
+            }
+            if (isGeodetic) {
+                checkFields(point, path, ["latitude", "longitude", "altitude", ...extraFields]);
+                checkNumber(point, path, "latitude", true, isLatitude, "a latitude in [-90, 90]");
+                checkNumber(point, path, "longitude", true, isLongitude, "a longitude in [-180, 180]");
+                checkNumber(point, path, "altitude", false, finite, "a finite number");
+            } else {
+                checkFields(point, path, ["x", "y", "z", ...extraFields]);
+                checkNumber(point, path, "x", true, finite, "a finite number");
+                checkNumber(point, path, "y", true, finite, "a finite number");
+                checkNumber(point, path, "z", false, finite, "a finite number");
+            }
+        };
+        const checkPointList = (path, required, minimum, extraFields) => {
+            const list = value[path];
+            if (list === undefined && !required) {
+                return;
+            }
+            if (!Array.isArray(list) || list.length < minimum) {
+                report(path, `must be an array with at least ${minimum} ${minimum === 1 ? "entry" : "entries"}`);
+                return;
+            }
+            list.forEach((point, index) => checkPoint(point, `${path}[${index}]`, extraFields));
+        };
+
+        if (value.origin !== undefined) {
+            if (isGeodetic) {
+                checkPoint(value.origin, "origin");
+            } else {
+                report("origin", "is only used with frame \"geodetic\"");
+            }
+        }
+
+        // Time windows and demand only apply to local waypoints, the geodetic projection does not carry them
+        checkPointList("waypoints", true, 1, isGeodetic ? [] : ["earliest", "latest", "serviceTime", "demand"]);
+        (Array.isArray(value.waypoints) ? value.waypoints : []).forEach((waypoint, index) => {
+            if (isObject(waypoint) && !isGeodetic) {
+                const path = `waypoints[${index}]`;
+                checkNumber(waypoint, path, "earliest", false, finite, "a finite number");
+                checkNumber(waypoint, path, "latest", false, finite, "a finite number");
+                checkNumber(waypoint, path, "serviceTime", false, nonNegative, "a non-negative number");
+                checkNumber(waypoint, path, "demand", false, nonNegative, "a non-negative number");
+            }
+        });
+        checkPointList("route", false, 1);
+
+        if (value.obstacles !== undefined && !Array.isArray(value.obstacles)) {
+            report("obstacles", "must be an array");
+        }
+        (Array.isArray(value.obstacles) ? value.obstacles : []).forEach((obstacle, index) => {
+            const path = `obstacles[${index}]`;
+            if (!isObject(obstacle)) {
+                report(path, "must be an object");
+                return;
+            }
+
+            const common = ["type", "minAltitude", "maxAltitude", "clearance"];
+            if (obstacle.type === "circle") {
+                checkFields(obstacle, path, [...common, ...(isGeodetic ? ["latitude", "longitude"] : ["x", "y"]), "radius"]);
+                if (isGeodetic) {
+                    checkNumber(obstacle, path, "latitude", true, isLatitude, "a latitude in [-90, 90]");
+                    checkNumber(obstacle, path, "longitude", true, isLongitude, "a longitude in [-180, 180]");
+                } else {
+                    checkNumber(obstacle, path, "x", true, finite, "a finite number");
+                    checkNumber(obstacle, path, "y", true, finite, "a finite number");
+                }
+                checkNumber(obstacle, path, "radius", true, positive, "a positive number");
+            } else if (obstacle.type === "polygon") {
+                checkFields(obstacle, path, [...common, "vertices"]);
+                if (!Array.isArray(obstacle.vertices) || obstacle.vertices.length < 3) {
+                    report(join(path, "vertices"), "must be an array of at least 3 points");
+                } else {
+                    obstacle.vertices.forEach((vertex, vertexIndex) => checkPoint(vertex, `${path}.vertices[${vertexIndex}]`));
+                }
+            } else {
+                report(join(path, "type"), `must be "circle" or "polygon", got ${JSON.stringify(obstacle.type)}`);
+            }
+
+            const hasMin = checkNumber(obstacle, path, "minAltitude", false, finite, "a finite number");
+            const hasMax = checkNumber(obstacle, path, "maxAltitude", false, finite, "a finite number");
+            if (hasMin && hasMax && obstacle.minAltitude > obstacle.maxAltitude) {
+                report(join(path, "maxAltitude"), "must not be below minAltitude");
+            }
+            checkNumber(obstacle, path, "clearance", false, nonNegative, "a non-negative number");
+        });
+
+        if (value.vehicle !== undefined) {
+            if (!isObject(value.vehicle)) {
+                report("vehicle", "must be an object");
+            } else {
+                const vehicle = value.vehicle;
+                checkFields(vehicle, "vehicle", ["cruiseSpeed", "maxAcceleration", "maxJerk", "minFlightAltitude", "maxFlightAltitude", "battery"]);
+                ["cruiseSpeed", "maxAcceleration", "maxJerk"].forEach(key => checkNumber(vehicle, "vehicle", key, false, positive, "a positive number"));
+                ["minFlightAltitude", "maxFlightAltitude"].forEach(key => checkNumber(vehicle, "vehicle", key, false, finite, "a finite number"));
+
+                if (vehicle.battery !== undefined) {
+                    if (!isObject(vehicle.battery)) {
+                        report("vehicle.battery", "must be an object");
+                    } else {
+                        checkFields(vehicle.battery, "vehicle.battery", ["capacity", "costPerMetre", "climbCostPerMetre", "hoverCostPerSecond", "hoverTime", "reserve"]);
+                        checkNumber(vehicle.battery, "vehicle.battery", "capacity", true, positive, "a positive number");
+                        ["costPerMetre", "climbCostPerMetre", "hoverCostPerSecond", "hoverTime"].forEach(key => checkNumber(vehicle.battery, "vehicle.battery", key, false, nonNegative, "a non-negative number"));
+                        checkNumber(vehicle.battery, "vehicle.battery", "reserve", false, number => number >= 0 && number < 1, "a fraction in [0, 1)");
+                    }
+                }
+            }
+        }
+
+        checkNumber(value, "", "clearance", false, nonNegative, "a non-negative number");
+        checkNumber(value, "", "maxSegmentLength", false, positive, "a positive number");
+        if (value.returnToHome !== undefined && typeof value.returnToHome !== "boolean") {
+            report("returnToHome", "must be true or false");
+        }
+
+        if (errors.length > 0) {
+            throw Mission.createError(source, errors);
+        }
+
+        const toPoint = point => (isGeodetic
+            ? new GeoWaypoint(point.latitude, point.longitude, point.altitude)
+            : new Waypoint(point.x, point.y, point.z, point));
+        const altitudeOptions = obstacle => {
+            const options = {};
+            ["minAltitude", "maxAltitude", "clearance"].filter(key => obstacle[key] !== undefined).forEach(key => {
+                options[key] = obstacle[key];
+            });
+            return options;
+        };
+
+        return new Mission({
+            ...value,
+            frame,
+            origin: value.origin && toPoint(value.origin),
+            waypoints: value.waypoints.map(point => {
+                const waypoint = toPoint(point);
+                if (point.demand !== undefined) {
+                    waypoint.demand = point.demand;
+                }
+                return waypoint;
+            }),
+            obstacles: (value.obstacles || []).map(obstacle => {
+                if (obstacle.type === "polygon") {
+                    return isGeodetic ? new GeoPolygonObstacle(obstacle.vertices, altitudeOptions(obstacle)) : new PolygonObstacle(obstacle.vertices, altitudeOptions(obstacle));
+                }
+                return isGeodetic
+                    ? new GeoObstacle(obstacle.latitude, obstacle.longitude, obstacle.radius, altitudeOptions(obstacle))
+                    : new Obstacle(obstacle.x, obstacle.y, obstacle.radius, altitudeOptions(obstacle));
+            }),
+            vehicle: value.vehicle ? { ...value.vehicle, ...(value.vehicle.battery && { battery: { ...value.vehicle.battery } }) } : {},
+            route: value.route && value.route.map(toPoint),
+        });
+    }
+
+    static createError(source, errors) {
+        const error = new Error(`Invalid mission ${source}:\n${errors.map(({ line, column, field, message }) => `  ${source}:${line}:${column}: ${field} ${message}`).join("\n")}`);
+        error.errors = errors;
+        return error;
+    }
+
+    getProjection() {
+        return new LocalProjection(this.origin || this.waypoints[0]);
+    }
+
+    createOptimizer(options = {}) {
+        const { battery, ...limits } = this.vehicle;
+        const optimizerOptions = {
+            ...limits,
+            clearance: this.clearance,
+            returnToHome: this.returnToHome,
+            ...(battery && { energyModel: new EnergyModel(battery) }),
+            ...options,
+        };
+
+        // A mission file without maxSegmentLength asks for no subdivision
+        const maxSegmentLength = this.maxSegmentLength !== undefined ? this.maxSegmentLength : Infinity;
+        if (this.frame === "geodetic") {
+            return RouteOptimizer.fromGeodetic(this.waypoints, this.obstacles, maxSegmentLength, { ...optimizerOptions, origin: this.origin });
+        }
+        return new RouteOptimizer(this.waypoints, this.obstacles, maxSegmentLength, optimizerOptions);
+    }
+
+    // Same mission with a planned route attached; local route points are converted for geodetic missions
+    withRoute(route) {
+        const projection = this.frame === "geodetic" ? this.getProjection() : null;
+        const toMissionFrame = point => (projection && !(point instanceof GeoWaypoint) ? projection.toGeodetic(point) : point);
+        return new Mission({ ...this, route: route.map(toMissionFrame) });
+    }
+
+    toJSON() {
+        const pick = (object, keys) => {
+            const result = {};
+            keys.filter(key => object[key] !== undefined).forEach(key => {
+                result[key] = object[key];
+            });
+            return result;
+        };
+        const fromPoint = point => (this.frame === "geodetic" ? pick(point, ["latitude", "longitude", "altitude"]) : pick(point, ["x", "y", "z"]));
+        const altitudeFields = obstacle => {
+            const source = obstacle.options || obstacle;
+            return pick({
+                minAltitude: isFinite(source.minAltitude) ? source.minAltitude : undefined,
+                maxAltitude: isFinite(source.maxAltitude) ? source.maxAltitude : undefined,
+                clearance: source.clearance,
+            }, ["minAltitude", "maxAltitude", "clearance"]);
+        };
+
+        const json = { version: this.version };
+        if (this.name !== undefined) {
+            json.name = this.name;
+        }
+        json.frame = this.frame;
+        if (this.origin !== undefined) {
+            json.origin = fromPoint(this.origin);
+        }
+        json.waypoints = this.waypoints.map(waypoint => ({ ...fromPoint(waypoint), ...(this.frame === "local" ? pick(waypoint, ["earliest", "latest", "serviceTime", "demand"]) : {}) }));
+        json.obstacles = this.obstacles.map(obstacle => {
+            if (obstacle.vertices) {
+                return { type: "polygon", vertices: obstacle.vertices.map(fromPoint), ...altitudeFields(obstacle) };
+            }
+            return { type: "circle", ...fromPoint(obstacle), radius: obstacle.radius, ...altitudeFields(obstacle) };
+        });
+        json.vehicle = this.vehicle;
+        json.clearance = this.clearance;
+        if (this.maxSegmentLength !== undefined) {
+            json.maxSegmentLength = this.maxSegmentLength;
+        }
+        json.returnToHome = this.returnToHome;
+        if (this.route !== undefined) {
+            json.route = this.route.map(fromPoint);
+        }
+        return json;
+    }
+
+    serialize() {
+        return `${JSON.stringify(this, null, 4)}\n`;
+    }
+
+    saveFile(path) {
+        fs.writeFileSync(path, this.serialize());
+    }
+}
+
+module.exports = {
+    ORDERING_STRATEGIES,
+    MISSION_FORMAT_VERSION,
+    Waypoint,
+    Obstacle,
+    PolygonObstacle,
+    LineSegment,
+    GeoWaypoint,
+    GeoObstacle,
+    GeoPolygonObstacle,
+    LocalProjection,
+    WindField,
+    Trajectory,
+    MovingObstacle,
+    DubinsPath,
+    SpeedProfile,
+    EnergyModel,
+    RouteOptimizer,
+    FleetRouteOptimizer,
+    Mission,
+    SpatialIndex,
+};
+
+// Example usage
+if (require.main === module) {
+    const waypoints = [
+        new Waypoint(0, 0),
+        new Waypoint(10, 0),
+        new Waypoint(5, 5),
+        new Waypoint(0, 10),
+    ];
+
+    const obstacles = [
+        new Obstacle(3, 3, 2),
+        new Obstacle(7, 2, 1),
+        new PolygonObstacle([{ x: 2, y: 6 }, { x: 4, y: 6 }, { x: 4, y: 8 }, { x: 2, y: 8 }]),
+    ];
+
+    const routeOptimizer = new RouteOptimizer(waypoints, obstacles, Infinity, { cruiseSpeed: 5, clearance: 0.5 });
+    const optimizedRoute = routeOptimizer.optimizeRoute();
+    routeOptimizer.visualizeRoute(optimizedRoute);
+
+    // 3D: climbing 2m over a 10m-high building is cheaper than flying around it
+    const altitudeOptimizer = new RouteOptimizer(
+        [new Waypoint(0, 0, 8), new Waypoint(20, 0, 8)],
+        [new PolygonObstacle([{ x: 8, y: -10 }, { x: 12, y: -10 }, { x: 12, y: 10 }, { x: 8, y: 10 }], { maxAltitude: 10 })],
+        Infinity,
+        { verticalCostFactor: 2, maxFlightAltitude: 120, clearance: 0 }
+    );
+    console.log("3D Route:");
+    altitudeOptimizer.optimizeRoute().forEach((waypoint, index) => {
+        console.log(`Waypoint ${index + 1}: ${altitudeOptimizer.formatWaypoint(waypoint)}`);
+    });
+
+    // Energy: a 150 Wh battery with 20% reserve cannot fly the whole tour, so a recharge stop is inserted
+    const energyOptimizer = new RouteOptimizer(
+        [new Waypoint(0, 0), new Waypoint(40, 0), new Waypoint(40, 40), new Waypoint(0, 40)],
+        [],
+        Infinity,
+        {
+            energyModel: new EnergyModel({ capacity: 150, costPerMetre: 1, hoverCostPerSecond: 0.5, hoverTime: 10, reserve: 0.2 }),
+            chargingStations: [new Waypoint(45, 20)],
+            clearance: 0,
+        }
+    );
+    console.log("Energy Plan:");
+    energyOptimizer.optimizeEnergyRoute().stops.forEach(stop => {
+        console.log(`${stop.type} (${stop.waypoint.x}, ${stop.waypoint.y}) | Arrival: ${stop.arrivalCharge.toFixed(1)} Wh | Departure: ${stop.departureCharge.toFixed(1)} Wh`);
+    });
+
+    // Without return-to-home the same mission ends at its last waypoint instead of flying back to (0, 0)
+    const oneWayEnergyOptimizer = new RouteOptimizer(energyOptimizer.waypoints, [], Infinity, {
+        energyModel: energyOptimizer.energyModel,
+        chargingStations: energyOptimizer.chargingStations,
+        clearance: 0,
+        returnToHome: false,
+    });
+    console.log("One-Way Energy Plan:");
+    oneWayEnergyOptimizer.optimizeEnergyRoute().stops.forEach(stop => {
+        console.log(`${stop.type} (${stop.waypoint.x}, ${stop.waypoint.y}) | Arrival: ${stop.arrivalCharge.toFixed(1)} Wh | Departure: ${stop.departureCharge.toFixed(1)} Wh`);
+    });
+
+    // Only climbing costs energy, so legs between altitudes cost more uphill than down; local search must not reverse
+    // chains as if both directions cost the same, and here it reaches the exact Held-Karp optimum
+    const climbingWaypoints = [[0, 40, 0], [0, 90, 20], [50, 50, 30], [30, 20, 40], [10, 40, 40], [80, 40, 10], [20, 70, 40]].map(([x, y, z]) => new Waypoint(x, y, z));
+    const climbingModel = new EnergyModel({ capacity: 1000, costPerMetre: 1, climbCostPerMetre: 5 });
+    const climbingTourCost = strategy => {
+        const optimizer = new RouteOptimizer(climbingWaypoints, [], Infinity, { legCost: "energy", cruiseSpeed: 10, energyModel: climbingModel, clearance: 0, strategy });
+        return optimizer.getTourCost(optimizer.orderTour(), optimizer.getTourCostMatrix());
+    };
+    console.log(`Climbing Energy Tour: local search ${climbingTourCost("local-search").toFixed(1)} Wh | Held-Karp ${climbingTourCost("held-karp").toFixed(1)} Wh`);
+
+    // Fleet: two drones share a depot and split six survey points to minimise the longest flight
+    const depot = new Waypoint(0, 0);
+    const fleetOptimizer = new FleetRouteOptimizer(
+        [new Waypoint(10, 0), new Waypoint(20, 5), new Waypoint(15, 15), new Waypoint(-10, 5), new Waypoint(-15, 15), new Waypoint(-5, 20)],
+        [new Obstacle(5, 10, 3)],
+        [{ id: "alpha", depot, capacity: 4, range: 80 }, { id: "bravo", depot, capacity: 4, range: 80 }],
+        { objective: "makespan", maxSegmentLength: Infinity, clearance: 0 }
+    );
+    const fleetPlan = fleetOptimizer.optimizeFleet();
+    console.log("Fleet Plan:");
+    fleetPlan.routes.forEach(({ drone, waypoints: droneWaypoints, distance, load }) => {
+        console.log(`${drone.id}: ${droneWaypoints.map(waypoint => `(${waypoint.x}, ${waypoint.y})`).join(" -> ")} | Distance: ${distance.toFixed(2)} | Load: ${load}`);
+    });
+    console.log(`Makespan: ${fleetPlan.stats.makespan.toFixed(2)} | Total Distance: ${fleetPlan.stats.totalDistance.toFixed(2)} | Drones Used: ${fleetPlan.stats.dronesUsed}`);
+
+    // Time windows: the far site is only staffed early, so it is visited first even though that tour is longer
+    const scheduleOptimizer = new RouteOptimizer(
+        [
+            new Waypoint(0, 0),
+            new Waypoint(10, 0, undefined, { serviceTime: 60 }),
+            new Waypoint(10, 10, undefined, { earliest: 300, serviceTime: 60 }),
+            new Waypoint(0, 30, undefined, { latest: 120, serviceTime: 30 }),
+        ],
+        [],
+        Infinity,
+        { cruiseSpeed: 0.5, clearance: 0 }
+    );
+    const missionSchedule = scheduleOptimizer.scheduleRoute();
+    console.log("Mission Schedule:");
+    missionSchedule.schedule.forEach(({ waypoint, arrival, departure, wait, lateness }) => {
+        console.log(`(${waypoint.x}, ${waypoint.y}) | Arrival: ${arrival.toFixed(0)}s | Departure: ${departure.toFixed(0)}s | Wait: ${wait.toFixed(0)}s${lateness > 0 ? ` | LATE by ${lateness.toFixed(0)}s` : ""}`);
+    });
+    console.log(`Total Time: ${missionSchedule.totalTime.toFixed(0)}s | Missed Windows: ${missionSchedule.missedWindows.length}`);
+    const oneWaySchedule = new RouteOptimizer(scheduleOptimizer.waypoints, [], Infinity, { cruiseSpeed: 0.5, clearance: 0, returnToHome: false }).scheduleRoute();
+    console.log(`One-Way Schedule: ${oneWaySchedule.schedule.map(({ waypoint }) => `(${waypoint.x}, ${waypoint.y})`).join(" -> ")} | Total Time: ${oneWaySchedule.totalTime.toFixed(0)}s`);
+
+    // Wind: eastbound wind in the north, westbound in the south, so the time-optimal detour flies north going out
+    // and south coming back
+    const windField = WindField.fromGrid({
+        origin: { x: 0, y: 0 },
+        cellSize: 50,
+        vectors: [
+            [[-6, 0], [-6, 0], [-6, 0]],
+            [[0, 0], [0, 0], [0, 0]],
+            [[6, 0], [6, 0], [6, 0]],
+        ],
+    });
+    const windOptimizer = new RouteOptimizer(
+        [new Waypoint(0, 50), new Waypoint(100, 50)],
+        [new Obstacle(50, 50, 15)],
+        Infinity,
+        { cruiseSpeed: 10, windField, legCost: "time", clearance: 0 }
+    );
+    const windRoute = windOptimizer.optimizeRoute();
+    console.log("Wind-Aware Route:");
+    windRoute.slice(0, -1).forEach((waypoint, index) => {
+        const nextWaypoint = windRoute[index + 1];
+        console.log(`(${waypoint.x.toFixed(1)}, ${waypoint.y.toFixed(1)}) -> (${nextWaypoint.x.toFixed(1)}, ${nextWaypoint.y.toFixed(1)}) | Ground Speed: ${windOptimizer.getGroundSpeedLabel(waypoint, nextWaypoint)} m/s`);
+    });
+    console.log(`Flight Time: ${windOptimizer.getPathTime(windRoute).toFixed(1)}s`);
+
+    // Moving obstacles: a crane boom sweeps across the corridor, so the drone slows down or hovers until it has passed
+    const crane = new MovingObstacle(4, Trajectory.periodic([{ t: 0, x: 20, y: -20 }, { t: 8, x: 20, y: 20 }], 16));
+    const timedOptimizer = new RouteOptimizer(
+        [new Waypoint(0, 0), new Waypoint(40, 0)],
+        [],
+        Infinity,
+        { cruiseSpeed: 5, clearance: 0, movingObstacles: [crane, new MovingObstacle(2, Trajectory.linear({ x: 60, y: 5 }, { x: -2, y: 0 }))] }
+    );
+    console.log("Timed Route:");
+    timedOptimizer.planTimedRoute(timedOptimizer.optimizeRoute()).forEach(({ waypoint, arrival, departure, wait, speed }) => {
+        console.log(`(${waypoint.x}, ${waypoint.y}) | Arrival: ${arrival.toFixed(1)}s | Wait: ${wait.toFixed(1)}s | Departure: ${departure.toFixed(1)}s | Speed: ${speed.toFixed(2)}`);
+    });
+
+    // Smoothing: Dubins curves with a 1m minimum turn radius, re-checked against every obstacle
+    const smoothedRoute = routeOptimizer.smoothRoute(optimizedRoute, 1);
+    console.log(`Smoothed Route (${smoothedRoute.length.toFixed(2)} units, ${smoothedRoute.polyline.length} samples):`);
+    smoothedRoute.legs.forEach((leg, index) => {
+        console.log(`Leg ${index + 1}: ${leg.type} | (${leg.start.x.toFixed(2)}, ${leg.start.y.toFixed(2)}) -> (${leg.end.x.toFixed(2)}, ${leg.end.y.toFixed(2)}) | Length: ${leg.length.toFixed(2)}`);
+    });
+
+    // Trajectory: the smoothed curve flown under speed, acceleration and jerk limits, sampled every 2 seconds
+    const smoothedTrajectory = routeOptimizer.generateTrajectory(smoothedRoute.polyline, { sampleRate: 0.5 });
+    console.log(`Smoothed Trajectory (${smoothedTrajectory.duration.toFixed(2)}s):`);
+    smoothedTrajectory.samples.forEach(({ time, position, speed, heading }) => {
+        console.log(`t=${time.toFixed(2)}s | (${position.x.toFixed(2)}, ${position.y.toFixed(2)}) | Speed: ${speed.toFixed(2)} | Heading: ${toDegrees(heading).toFixed(0)}°`);
+    });
+
+    // Safety audit against the 0.5 clearance: the straight-line tour cuts through two obstacles, the planned route keeps clear
+    for (const [label, route] of [["Straight Tour", [...waypoints, waypoints[0]]], ["Planned Route", optimizedRoute]]) {
+        const audit = routeOptimizer.validateRoute(route);
+        console.log(`Safety Audit (${label}): ${audit.valid ? "valid" : `${audit.violations.length} violations`}`);
+        audit.violations.forEach(({ legIndex, obstacle, penetrationDepth, closestPoint }) => {
+            console.log(`Leg ${legIndex + 1} | Obstacle (${obstacle.x}, ${obstacle.y}) | Penetration: ${penetrationDepth.toFixed(2)} | Closest Point: (${closestPoint.x.toFixed(2)}, ${closestPoint.y.toFixed(2)})`);
+        });
+        console.log(`Minimum Clearances: ${audit.clearances.map(({ minClearance }) => minClearance.toFixed(2)).join(", ")}`);
+    }
+
+    // GIS export: the same route as GeoJSON in the local frame and as KML placed at a mission origin
+    const routeGeoJSON = routeOptimizer.exportGeoJSON(optimizedRoute);
+    const countFeatures = kind => routeGeoJSON.features.filter(feature => feature.properties.kind === kind).length;
+    console.log(`GeoJSON Export: ${countFeatures("route")} route, ${countFeatures("waypoint")} waypoints, ${countFeatures("obstacle")} obstacles`);
+    const routeKML = routeOptimizer.exportKML(optimizedRoute, { origin: new GeoWaypoint(51.5007, -0.1246) });
+    console.log(`KML Export: ${routeKML.match(/<Placemark>/g).length} placemarks, first waypoint at ${routeKML.match(/<Point><coordinates>([^<]*)/)[1]}`);
+
+    // SVG rendering: the optimized route drawn to scale; routeOptimizer.saveSvg("route.svg", optimizedRoute) writes the same document
+    const routeSvg = routeOptimizer.renderSvg(optimizedRoute, { title: "Optimized Route" });
+    console.log(`SVG Render: ${routeSvg.match(/width="(\d+)" height="([\d.]+)"/).slice(1).join("x")} px, ${routeSvg.match(/class="arrow"/g).length} direction arrows, ${routeSvg.match(/class="label"/g).length} numbered waypoints`);
+
+    // Replanning: at (10, 0) a new obstacle appears on the next leg; only the legs it touches are re-planned
+    const replan = routeOptimizer.replanRoute(waypoints[1], [waypoints[2], waypoints[3]], { added: [new Obstacle(6.5, 3.5, 0.8)] });
+    console.log(`Replanned Route (${replan.invalidatedLegs} cached legs invalidated):`);
+    replan.route.forEach((waypoint, index) => {
+        console.log(`Waypoint ${index + 1}: ${routeOptimizer.formatWaypoint(waypoint)}`);
+    });
+    const oneWayReplan = new RouteOptimizer(waypoints, obstacles, Infinity, { clearance: 0.5, returnToHome: false })
+        .replanRoute(waypoints[1], [waypoints[2], waypoints[3]], { added: [new Obstacle(6.5, 3.5, 0.8)] });
+    console.log(`One-Way Replan: ${oneWayReplan.route.length} route points, ends at ${routeOptimizer.formatWaypoint(oneWayReplan.route[oneWayReplan.route.length - 1])}`);
+
+    // Mission files: the example mission as versioned JSON with its planned route, read back and checked for a lossless round trip
+    const mission = new Mission({ name: "example", waypoints, obstacles, vehicle: { cruiseSpeed: 5 }, clearance: 0.5 });
+    const missionText = mission.withRoute(optimizedRoute).serialize();
+    const reloadedMission = Mission.parse(missionText, "example.json");
+    console.log(`Mission File: ${missionText.split("\n").length} lines, ${reloadedMission.route.length} route points, round trip ${reloadedMission.serialize() === missionText ? "lossless" : "lossy"}`);
+    try {
+        Mission.parse(`{
+    "version": 1,
+    "waypoints": [{ "x": 0, "y": "north" }],
+    "obstacles": [{ "type": "circle", "x": 3, "y": 3, "radius": -2 }]
+}`, "broken.json");
+    } catch (error) {
+        console.log(error.message);
+    }
+
+    // Geographic mission: WGS84 waypoints, a 150m no-fly circle, distances reported in metres
+    const geoOptimizer = RouteOptimizer.fromGeodetic(
+        [
+            new GeoWaypoint(51.5007, -0.1246),
+            new GeoWaypoint(51.5081, -0.0759),
+            new GeoWaypoint(51.5138, -0.0984),
+        ],
+        [new GeoObstacle(51.5045, -0.0999, 150)],
+        Infinity,
+        { clearance: 0 }
+    );
+    const geoRoute = geoOptimizer.optimizeRoute();
+    console.log("Geographic Route:");
+    geoRoute.slice(0, -1).forEach((waypoint, index) => {
+        const distance = geoOptimizer.getReportedDistance(waypoint, geoRoute[index + 1]);
+        console.log(`Waypoint ${index + 1}: ${geoOptimizer.formatWaypoint(waypoint)} | Distance: ${distance.toFixed(2)} m`);
+    });
+
+    // Autopilot export: the geographic route as a QGroundControl plan and a WPL 110 file, then the plan re-imported and re-optimized
+    const qgcPlan = geoOptimizer.exportQGCPlan(geoRoute, { altitude: 60 });
+    const waypointFile = geoOptimizer.exportWaypointFile(geoRoute, { altitude: 60 });
+    console.log(`QGC Plan: ${qgcPlan.mission.items.map(item => item.command).join(", ")} | ${qgcPlan.geoFence.polygons.length} exclusion fence(s)`);
+    console.log(waypointFile.split("\n").slice(0, 3).join("\n"));
+    const importedOptimizer = Mission.fromQGCPlan(JSON.stringify(qgcPlan), "geographic.plan").createOptimizer();
+    console.log(`Re-imported Plan: ${importedOptimizer.waypoints.length} waypoints, route ${importedOptimizer.getPathLength(importedOptimizer.optimizeRoute()).toFixed(2)} m`);
+}
+
+/*
+    Output :
+
+Optimized Route:
+Waypoint 1 -> Waypoint 2: (0, 0) -> (0, 10) | Distance: 10.00 | Duration: 4.21s | Direction: N
+Waypoint 2 -> Waypoint 3: (0, 10) -> (4.500001, 8.500001) | Distance: 4.74 | Duration: 1.69s | Direction: NW
+Waypoint 3 -> Waypoint 4: (4.500001, 8.500001) -> (5, 5) | Distance: 3.54 | Duration: 0.90s | Direction: NW
+Waypoint 4 -> Waypoint 5: (5, 5) -> (7.585271356229029, 3.412970045876617) | Distance: 3.03 | Duration: 0.72s | Direction: NW
+Waypoint 5 -> Waypoint 6: (7.585271356229029, 3.412970045876617) -> (8.081440453970243, 3.081440453970244) | Distance: 0.60 | Duration: 0.15s | Direction: NW
+Waypoint 6 -> Waypoint 7: (8.081440453970243, 3.081440453970244) -> (8.412970045876616, 2.585271356229029) | Distance: 0.60 | Duration: 0.16s | Direction: NW
+Waypoint 7 -> Waypoint 8: (8.412970045876616, 2.585271356229029) -> (10, 0) | Distance: 3.03 | Duration: 1.41s | Direction: NW
+Waypoint 8 -> Waypoint 9: (10, 0) -> (0, 0) | Distance: 10.00 | Duration: 4.42s | Direction: W
+Total Distance: 35.54
+Total Mission Time: 13.66s
+Number of Waypoints: 9
+Number of Obstacles Avoided: 3 of 3
+Route Visualization:
+10.5 |                                                            |
+     |  2*                                                        |
+     |  ********                                                  |
+     |  *      *******                                            |
+     |  *            *******                                      |
+ 8.7 |  *                  ******+                                |
+     |  *        ................*                                |
+     |  *        ...OOOOOOOOOOO..*                                |
+     |  *        ...OOOOOOOOOOO..**                               |
+     |  *        ...OOOOOOOOOOO.. *                               |
+ 6.8 |  *        ...OOOOOOOOOOO.. *                               |
+     |  *        ...OOOOOOOOOOO.. *                               |
+     |  *        ...OOOOOOOOOOO..  *                              |
+     |  *        ................  *                              |
+     |  *            ........      *                              |
+ 5.0 |  *        ................  *3*                            |
+     |  *      ....OOOOOOOOOOOO....  ****                         |
+     |  *    ....OOOOOOOOOOOOOOOOO...   ****                      |
+     |  *   ...OOOOOOOOOOOOOOOOOOOO...      ****                  |
+     |  *   ...OOOOOOOOOOOOOOOOOOOOO..         ***+               |
+ 3.2 |  *  ...OOOOOOOOOOOOOOOOOOOOOO...   ........**+*            |
+     |  *  ...OOOOOOOOOOOOOOOOOOOOOO... ....OOOOOO...**           |
+     |  *   ...OOOOOOOOOOOOOOOOOOOOO.. ...OOOOOOOOOO..+*          |
+     |  *   ...OOOOOOOOOOOOOOOOOOOO... ..OOOOOOOOOOO...**         |
+     |  *    ....OOOOOOOOOOOOOOOO....  ...OOOOOOOOOO...  **       |
+ 1.3 |  *      ....OOOOOOOOOOOO....     ...OOOOOOOO...    **      |
+     |  *        ................        ............      **     |
+     |  *            ........               ......          **    |
+     |  *                                                    ***  |
+     |  1******************************************************4  |
+-0.5 |                                                            |
+     +------------------------------------------------------------+
+      -0.4      1.4       3.3       5.1       6.9       8.8
+      1-9,a-z waypoints  * leg  + via  O obstacle  . clearance  (1 column = 0.183)
+3D Route:
+Waypoint 1: (0, 0, 8)
+Waypoint 2: (0, 0, 10.000001)
+Waypoint 3: (20, 0, 10.000001)
+Waypoint 4: (20, 0, 8)
+Waypoint 5: (20, 0, 10.000001)
+Waypoint 6: (0, 0, 10.000001)
+Waypoint 7: (0, 0, 8)
+Energy Plan:
+home (0, 0) | Arrival: 150.0 Wh | Departure: 150.0 Wh
+waypoint (0, 40) | Arrival: 110.0 Wh | Departure: 105.0 Wh
+waypoint (40, 40) | Arrival: 65.0 Wh | Departure: 60.0 Wh
+recharge (45, 20) | Arrival: 39.4 Wh | Departure: 150.0 Wh
+waypoint (40, 0) | Arrival: 129.4 Wh | Departure: 124.4 Wh
+home (0, 0) | Arrival: 84.4 Wh | Departure: 84.4 Wh
+One-Way Energy Plan:
+home (0, 0) | Arrival: 150.0 Wh | Departure: 150.0 Wh
+waypoint (0, 40) | Arrival: 110.0 Wh | Departure: 105.0 Wh
+waypoint (40, 40) | Arrival: 65.0 Wh | Departure: 60.0 Wh
+recharge (45, 20) | Arrival: 39.4 Wh | Departure: 150.0 Wh
+waypoint (40, 0) | Arrival: 129.4 Wh | Departure: 124.4 Wh
+Climbing Energy Tour: local search 485.9 Wh | Held-Karp 485.9 Wh
+Fleet Plan:
+alpha: (10, 0) -> (20, 5) -> (15, 15) | Distance: 53.57 | Load: 3
+bravo: (-5, 20) -> (-15, 15) -> (-10, 5) | Distance: 54.16 | Load: 3
+Makespan: 54.16 | Total Distance: 107.73 | Drones Used: 2
+Mission Schedule:
+(0, 0) | Arrival: 0s | Departure: 0s | Wait: 0s
+(0, 30) | Arrival: 60s | Departure: 90s | Wait: 0s
+(10, 0) | Arrival: 153s | Departure: 213s | Wait: 0s
+(10, 10) | Arrival: 233s | Departure: 360s | Wait: 67s
+(0, 0) | Arrival: 388s | Departure: 388s | Wait: 0s
+Total Time: 388s | Missed Windows: 0
+One-Way Schedule: (0, 0) -> (0, 30) -> (10, 0) -> (10, 10) | Total Time: 360s
+Wind-Aware Route:
+(0.0, 50.0) -> (44.1, 64.1) | Ground Speed: 10.79 m/s
+(44.1, 64.1) -> (50.0, 65.3) | Ground Speed: 11.73 m/s
+(50.0, 65.3) -> (55.9, 64.1) | Ground Speed: 11.73 m/s
+(55.9, 64.1) -> (100.0, 50.0) | Ground Speed: 10.79 m/s
+(100.0, 50.0) -> (55.9, 35.9) | Ground Speed: 10.79 m/s
+(55.9, 35.9) -> (50.0, 34.7) | Ground Speed: 11.73 m/s
+(50.0, 34.7) -> (44.1, 35.9) | Ground Speed: 11.73 m/s
+(44.1, 35.9) -> (0.0, 50.0) | Ground Speed: 10.79 m/s
+Flight Time: 19.2s
+Timed Route:
+(0, 0) | Arrival: 0.0s | Wait: 1.0s | Departure: 1.0s | Speed: 0.00
+(40, 0) | Arrival: 9.8s | Wait: 0.0s | Departure: 9.8s | Speed: 4.53
+(0, 0) | Arrival: 17.8s | Wait: 0.0s | Departure: 17.8s | Speed: 5.00
+Smoothed Route (41.69 units, 338 samples):
+Leg 1: LSL | (0.00, 0.00) -> (0.00, 10.00) | Length: 10.00
+Leg 2: RSR | (0.00, 10.00) -> (4.50, 8.50) | Length: 5.92
+Leg 3: RSL | (4.50, 8.50) -> (5.00, 5.00) | Length: 3.57
+Leg 4: LRL | (5.00, 5.00) -> (8.41, 2.59) | Length: 7.77
+Leg 5: LSL | (8.41, 2.59) -> (10.00, 0.00) | Length: 3.03
+Leg 6: RSL | (10.00, 0.00) -> (0.00, 0.00) | Length: 11.40
+Smoothed Trajectory (11.35s):
+t=0.00s | (0.00, 0.00) | Speed: 0.00 | Heading: 90°
+t=2.00s | (0.00, 3.08) | Speed: 3.50 | Heading: 90°
+t=4.00s | (1.82, 10.63) | Speed: 4.99 | Heading: -38°
+t=6.00s | (7.07, 5.11) | Speed: 4.98 | Heading: 56°
+t=8.00s | (9.11, -1.52) | Speed: 4.98 | Heading: 177°
+t=10.00s | (1.21, -0.19) | Speed: 2.19 | Heading: 170°
+t=11.35s | (0.00, 0.00) | Speed: 0.00 | Heading: 176°
+Safety Audit (Straight Tour): 2 violations
+Leg 2 | Obstacle (7, 2) | Penetration: 0.79 | Closest Point: (7.50, 2.50)
+Leg 3 | Obstacle (3, 7) | Penetration: 1.50 | Closest Point: (3.00, 7.00)
+Minimum Clearances: 0.83, -0.29, -1.00
+Safety Audit (Planned Route): valid
+Minimum Clearances: 0.83, 0.50, 0.57
+GeoJSON Export: 1 route, 4 waypoints, 3 obstacles
+KML Export: 8 placemarks, first waypoint at -0.1246,51.5007
+SVG Render: 800x830 px, 8 direction arrows, 4 numbered waypoints
+Replanned Route (6 cached legs invalidated):
+Waypoint 1: (10, 0)
+Waypoint 2: (7.724574165356987, 4.007235227422577)
+Waypoint 3: (7.437248489568854, 4.437248489568854)
+Waypoint 4: (7.007235227422577, 4.724574165356987)
+Waypoint 5: (6.5, 4.825469525261972)
+Waypoint 6: (5, 5)
+Waypoint 7: (4.500001, 8.500001)
+Waypoint 8: (0, 10)
+Waypoint 9: (0, 0)
+One-Way Replan: 8 route points, ends at (0, 10)
+Mission File: 102 lines, 9 route points, round trip lossless
+Invalid mission broken.json:
+  broken.json:3:34: waypoints[0].y must be a finite number, got "north"
+  broken.json:4:65: obstacles[0].radius must be a positive number, got -2
+Geographic Route:
+Waypoint 1: (51.5007000, -0.1246000) | Distance: 2330.92 m
+Waypoint 2: (51.5138000, -0.0984000) | Distance: 1685.86 m
+Waypoint 3: (51.5081000, -0.0759000) | Distance: 1696.73 m
+Waypoint 4: (51.5032298, -0.0990578) | Distance: 59.67 m
+Waypoint 5: (51.5031254, -0.0999007) | Distance: 1736.16 m
+QGC Plan: 22, 16, 16, 16, 16, 20 | 1 exclusion fence(s)
+QGC WPL 110
+0	1	0	16	0	0	0	0	51.5007	-0.1246	0	1
+1	0	3	22	0	0	0	0	51.5007	-0.1246	60	1
+Re-imported Plan: 5 waypoints, route 7511.23 m
 */
\ No newline at end of file